@@ -0,0 +1,12 @@
+import type { ReactElement, ReactNode } from 'react';
+import type { ConsentManager } from '../silktide-consent-manager';
+
+export declare function ConsentManagerProvider(props: {
+  manager: ConsentManager;
+  children?: ReactNode;
+}): ReactElement;
+
+export declare function useConsentManager(): ConsentManager | null;
+
+/** A cookie type id, or 'type:vendor' for one of its vendors */
+export declare function useConsent(cookieId: string, manager?: ConsentManager): boolean;
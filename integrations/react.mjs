@@ -0,0 +1,40 @@
+// React bindings for the Silktide Consent Manager
+import { createContext, createElement, useCallback, useContext, useSyncExternalStore } from 'react';
+
+const ConsentManagerContext = createContext(null);
+
+/**
+ * Make a manager from createConsentManager() available to useConsent() in the tree below
+ */
+export function ConsentManagerProvider({ manager, children }) {
+  return createElement(ConsentManagerContext.Provider, { value: manager }, children);
+}
+
+/**
+ * The provided manager, else the drop-in script's window.silktideCookieBannerManager
+ */
+export function useConsentManager() {
+  const manager = useContext(ConsentManagerContext);
+  if (manager) return manager;
+  return typeof window !== 'undefined' ? window.silktideCookieBannerManager || null : null;
+}
+
+/**
+ * Whether a cookie type, or 'type:vendor' for one of its vendors, has consent. Re-renders when
+ * consent changes and is always false on the server.
+ */
+export function useConsent(cookieId, manager) {
+  const contextManager = useConsentManager();
+  const consentManager = manager || contextManager;
+
+  const subscribe = useCallback(
+    onChange => (consentManager ? consentManager.on('consentChanged', onChange) : () => {}),
+    [consentManager],
+  );
+
+  return useSyncExternalStore(
+    subscribe,
+    () => (consentManager ? consentManager.hasConsent(cookieId) : false),
+    () => false,
+  );
+}
@@ -0,0 +1,14 @@
+import type { DeepReadonly, Plugin, Ref } from 'vue';
+import type { ConsentManager } from '../silktide-consent-manager';
+
+export declare function createConsentPlugin(manager: ConsentManager): Plugin;
+
+export declare function provideConsentManager(manager: ConsentManager): void;
+
+export declare function useConsentManager(): ConsentManager | null;
+
+/** A cookie type id, or 'type:vendor' for one of its vendors */
+export declare function useConsent(
+  cookieId: string,
+  manager?: ConsentManager | null,
+): DeepReadonly<Ref<boolean>>;
@@ -0,0 +1,49 @@
+// Vue bindings for the Silktide Consent Manager
+import { getCurrentScope, inject, onScopeDispose, provide, readonly, ref } from 'vue';
+
+const consentManagerKey = Symbol('silktideConsentManager');
+
+/**
+ * app.use(createConsentPlugin(manager)) makes a manager from createConsentManager() available to
+ * useConsent() in every component
+ */
+export function createConsentPlugin(manager) {
+  return {
+    install(app) {
+      app.provide(consentManagerKey, manager);
+    },
+  };
+}
+
+export function provideConsentManager(manager) {
+  provide(consentManagerKey, manager);
+}
+
+/**
+ * The provided manager, else the drop-in script's window.silktideCookieBannerManager
+ */
+export function useConsentManager() {
+  const manager = inject(consentManagerKey, null);
+  if (manager) return manager;
+  return typeof window !== 'undefined' ? window.silktideCookieBannerManager || null : null;
+}
+
+/**
+ * A read-only ref telling whether a cookie type, or 'type:vendor' for one of its vendors, has
+ * consent. It's updated when consent changes and is always false on the server.
+ */
+export function useConsent(cookieId, manager = useConsentManager()) {
+  const consent = ref(manager ? manager.hasConsent(cookieId) : false);
+
+  if (manager && typeof window !== 'undefined') {
+    const unsubscribe = manager.on('consentChanged', () => {
+      consent.value = manager.hasConsent(cookieId);
+    });
+
+    if (getCurrentScope()) {
+      onScopeDispose(unsubscribe);
+    }
+  }
+
+  return readonly(consent);
+}
@@ -0,0 +1,16 @@
+// Builds the ES module entry from the drop-in script: the class and createConsentManager(), without
+// the code at the end that puts a manager on window
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+
+const source = readFileSync(new URL('../silktide-consent-manager.js', import.meta.url), 'utf8');
+const dropInStart = source.indexOf('// Drop-in script');
+
+if (dropInStart === -1) {
+  throw new Error('Could not find the drop-in script in silktide-consent-manager.js');
+}
+
+mkdirSync(new URL('../dist/', import.meta.url), { recursive: true });
+writeFileSync(
+  new URL('../dist/silktide-consent-manager.mjs', import.meta.url),
+  `${source.slice(0, dropInStart).trimEnd()}\n\nexport { SilktideCookieBanner, createConsentManager };\n`,
+);
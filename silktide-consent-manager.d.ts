@@ -0,0 +1,450 @@
+// Silktide Consent Manager - https://silktide.com/consent-manager/
+
+/** A cookie name, a pattern, or a described cookie shown in the cookie table */
+export type CookieEntry =
+  | string
+  | RegExp
+  | {
+      name: string | RegExp;
+      displayName?: string;
+      provider?: string;
+      purpose?: string;
+      duration?: string;
+      domain?: string;
+      path?: string;
+    };
+
+export interface Vendor {
+  id: string;
+  name?: string;
+  /** HTML, sanitised before it's rendered */
+  description?: string;
+  privacyPolicyUrl?: string;
+  cookies?: CookieEntry[];
+  /** localStorage and sessionStorage keys removed when the vendor is rejected */
+  storageKeys?: Array<string | RegExp>;
+  /** Runs when the vendor is newly accepted */
+  onAccept?: () => void;
+  /** Runs when an accepted vendor is withdrawn */
+  onReject?: () => void;
+  /** Runs on page load when the vendor was accepted earlier, instead of onAccept */
+  onLoad?: () => void;
+}
+
+export interface CookieType {
+  id: string;
+  name: string;
+  /** HTML, sanitised before it's rendered */
+  description: string;
+  required?: boolean;
+  defaultValue?: boolean;
+  /** Reject this type when the browser sends Global Privacy Control or Do Not Track */
+  rejectOnPrivacySignal?: boolean;
+  cookies?: CookieEntry[];
+  storageKeys?: Array<string | RegExp>;
+  vendors?: Vendor[];
+  /** Runs when the type is newly accepted */
+  onAccept?: () => void;
+  /** Runs when an accepted type is withdrawn */
+  onReject?: () => void;
+  /** Runs on page load when the type was accepted earlier, instead of onAccept */
+  onLoad?: () => void;
+}
+
+export interface BannerText {
+  description?: string;
+  dialogAccessibleLabel?: string;
+  acceptAllButtonText?: string;
+  acceptAllButtonAccessibleLabel?: string;
+  rejectNonEssentialButtonText?: string;
+  rejectNonEssentialButtonAccessibleLabel?: string;
+  preferencesButtonText?: string;
+  preferencesButtonAccessibleLabel?: string;
+  silktideLogoAccessibleLabel?: string;
+}
+
+export interface PreferencesText {
+  title?: string;
+  description?: string;
+  creditLinkText?: string;
+  creditLinkAccessibleLabel?: string;
+  switchOnText?: string;
+  switchOffText?: string;
+  vendorsTitle?: string;
+  cookiesTitle?: string;
+  privacyPolicyLinkText?: string;
+  cookieNameHeading?: string;
+  cookieProviderHeading?: string;
+  cookiePurposeHeading?: string;
+  cookieDurationHeading?: string;
+  savedAnnouncement?: string;
+  /** The Save button of inline preferences panels */
+  saveButtonText?: string;
+  saveButtonAccessibleLabel?: string;
+}
+
+export interface Text {
+  banner?: BannerText;
+  preferences?: PreferencesText;
+  cookieIcon?: { title?: string };
+  privacySignalNotice?: {
+    description?: string;
+    okButtonText?: string;
+    okButtonAccessibleLabel?: string;
+  };
+  optOut?: { doNotSellLinkText?: string };
+  notice?: { description?: string; okButtonText?: string };
+  /** {provider} and {category} in the description are filled in for each embed */
+  placeholder?: {
+    description?: string;
+    loadOnceButtonText?: string;
+    loadOnceButtonAccessibleLabel?: string;
+    alwaysAllowButtonText?: string;
+    alwaysAllowButtonAccessibleLabel?: string;
+  };
+}
+
+export interface Translation extends Text {
+  /** Overrides the name and description of cookie types by id */
+  cookieTypes?: Record<string, { name?: string; description?: string }>;
+}
+
+export type ThemeVariables = {
+  primaryColor?: string;
+  backgroundColor?: string;
+  textColor?: string;
+  backdropBackgroundColor?: string;
+  backdropBackgroundBlur?: string;
+  cookieIconColor?: string;
+  cookieIconBackgroundColor?: string;
+  fontFamily?: string;
+  borderRadius?: string;
+  boxShadow?: string;
+  focus?: string;
+};
+
+export type ColorScheme = 'light' | 'dark' | 'auto';
+
+export interface Theme extends ThemeVariables {
+  colorScheme?: ColorScheme;
+  light?: ThemeVariables;
+  dark?: ThemeVariables;
+}
+
+export type JurisdictionMode = 'opt-in' | 'opt-out' | 'notice-only';
+
+export interface JurisdictionProfile {
+  mode: JurisdictionMode;
+  showBanner?: boolean;
+}
+
+export interface StorageAdapter {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export interface CookieStorageOptions {
+  type: 'cookie';
+  domain?: string;
+  path?: string;
+  sameSite?: 'Lax' | 'Strict' | 'None';
+  maxAge?: number;
+  secure?: boolean;
+}
+
+export interface ConsentLogPayload {
+  consentId: string;
+  choices: Record<string, boolean>;
+  vendors: Record<string, Record<string, boolean>>;
+  method: ConsentMethod;
+  bannerSuffix: string | null;
+  version: string | number | null;
+  privacySignal: 'gpc' | 'dnt' | null;
+  url: string;
+  timestamp: string;
+}
+
+export type ConsentLogCallback = (payload: ConsentLogPayload) => void | Promise<unknown>;
+
+export type ConsentMethod =
+  | 'accept-all'
+  | 'reject-all'
+  | 'custom'
+  | 'closed'
+  | 'privacy-signal'
+  | 'reset';
+
+export interface ConsentManagerConfig {
+  cookieTypes?: CookieType[];
+  text?: Text;
+  translations?: Record<string, Translation>;
+  language?: string;
+  defaultLanguage?: string;
+
+  position?: { banner?: 'center' | 'bottomLeft' | 'bottomCenter' | 'bottomRight' };
+  cookieIcon?: { position?: 'bottomLeft' | 'bottomRight'; colorScheme?: string };
+  background?: { showBackground?: boolean };
+  showBanner?: boolean;
+  closeBannerOnEscape?: boolean;
+  theme?: Theme | ColorScheme;
+  shadowDom?: boolean | { styles?: string | CSSStyleSheet; stylesheetUrl?: string };
+
+  /**
+   * Names the instance when several banners run on one page. Blocked scripts and iframes belong
+   * to the site's banner unless they carry data-silktide-instance with this name.
+   */
+  name?: string;
+  /** Mounts the banner inside an element instead of at the top of the body */
+  container?: Element | string;
+  bannerSuffix?: string;
+  /** Apply choices made in other tabs and windows, on by default */
+  syncTabs?: boolean;
+  storage?: 'localStorage' | 'cookie' | 'memory' | CookieStorageOptions | StorageAdapter;
+
+  consentVersion?: string | number;
+  consentMaxAgeDays?: number;
+  consentLogger?:
+    | string
+    | ConsentLogCallback
+    | { endpoint: string }
+    | { callback: ConsentLogCallback };
+
+  region?: string | (() => string | null | undefined);
+  jurisdictions?: Record<string, JurisdictionMode | JurisdictionProfile>;
+  privacySignal?: { globalPrivacyControl?: boolean; doNotTrack?: boolean; showNotice?: boolean };
+  autoBlock?: boolean;
+  /** Show a card with "Load once" and "Always allow" in place of blocked iframes, on by default */
+  placeholders?: boolean;
+  /** Scan cookies and storage for undeclared or pre-consent entries, e.g. on staging */
+  audit?: boolean | { interval?: number; console?: boolean; overlay?: boolean };
+
+  consentMode?: {
+    mapping: Record<string, string | string[]>;
+    waitForUpdate?: number;
+    region?: string[];
+    adsDataRedaction?: boolean;
+    urlPassthrough?: boolean;
+    dataLayerEvents?: boolean;
+    dataLayerName?: string;
+  };
+
+  tcf?: {
+    enabled: boolean;
+    cmpId?: number;
+    cmpVersion?: number;
+    gdprApplies?: boolean;
+    publisherCC?: string;
+    consentLanguage?: string;
+    vendorList?: object;
+    vendorListUrl?: string;
+    vendors?: number[];
+    purposes?: Record<string, number | number[]>;
+    specialFeatures?: Record<string, number | number[]>;
+  };
+
+  /** Runs once on page load when there's an earlier decision */
+  onConsentRestored?: (state: ConsentState) => void;
+  /** Runs whenever something is granted or revoked */
+  onConsentChange?: (diff: ConsentDiff, state: ConsentState & { method: ConsentMethod }) => void;
+  onAcceptAll?: () => void;
+  onRejectAll?: () => void;
+  onBannerOpen?: () => void;
+  onBannerClose?: () => void;
+  onPreferencesOpen?: () => void;
+  onPreferencesClose?: () => void;
+  onBackdropOpen?: () => void;
+  onBackdropClose?: () => void;
+}
+
+/** Whether each cookie type is allowed, e.g. { necessary: true, analytics: false } */
+export type Consent = Record<string, boolean>;
+
+/** Whether each vendor is allowed, by cookie type, e.g. { marketing: { meta: false } } */
+export type VendorConsent = Record<string, Record<string, boolean>>;
+
+export interface ConsentState {
+  consent: Consent;
+  vendors: VendorConsent;
+}
+
+/** Cookie type ids, or 'type:vendor' for a vendor, whose consent changed */
+export interface ConsentDiff {
+  granted: string[];
+  revoked: string[];
+}
+
+interface EventDetail {
+  instance: string;
+  bannerSuffix: string | null;
+}
+
+export interface ConsentManagerEvents {
+  consentChanged: EventDetail & ConsentDiff & {
+    consent: Consent;
+    vendors: VendorConsent;
+    method: ConsentMethod;
+    /** Set when the choice was made in another tab or window */
+    fromOtherTab?: boolean;
+  };
+  bannerShown: EventDetail;
+  bannerClosed: EventDetail;
+  preferencesOpened: EventDetail;
+  preferencesClosed: EventDetail;
+  languageChanged: EventDetail & { language: string | null };
+  colorSchemeChanged: EventDetail & { colorScheme: 'light' | 'dark' };
+  auditReport: EventDetail & { report: AuditReport };
+}
+
+export type ConsentEventName = keyof ConsentManagerEvents;
+
+export interface AuditEntry {
+  name: string;
+  storage: 'cookie' | 'localStorage' | 'sessionStorage';
+  /** The cookie type that declares it */
+  cookieType: string | null;
+  vendor: string | null;
+  /** A match in the catalogue of well-known trackers */
+  tracker: { provider: string; category: string } | null;
+  status: 'declared' | 'unclassified' | 'pre-consent';
+  firstSeen: string;
+}
+
+export interface AuditReport {
+  timestamp: string;
+  entries: AuditEntry[];
+  unclassified: AuditEntry[];
+  preConsent: AuditEntry[];
+}
+
+/** The banner state for a request, worked out on the server from its Cookie header */
+export interface ServerState {
+  showBanner: boolean;
+  showBackdrop: boolean;
+  mode: JurisdictionMode;
+  hasConsented: boolean;
+  consent: Consent;
+  vendors: VendorConsent;
+}
+
+export interface ConsentInstance {
+  readonly name: string;
+  updateConfig(config: ConsentManagerConfig): void;
+  destroy(): void;
+  getConsent(): Consent;
+  /** A cookie type id, or 'type:vendor' for one of its vendors */
+  hasConsent(cookieId: string): boolean;
+  getVendorConsent(): VendorConsent;
+  getAuditReport(): AuditReport | null;
+  mountPreferences(container: Element | string): HTMLElement | null;
+  getServerState(cookieHeader?: string): ServerState;
+  renderServerMarkup(cookieHeader?: string, serverDocument?: Document): string;
+  on<E extends ConsentEventName>(
+    eventName: E,
+    callback: (detail: ConsentManagerEvents[E]) => void,
+  ): () => void;
+  off<E extends ConsentEventName>(
+    eventName: E,
+    callback: (detail: ConsentManagerEvents[E]) => void,
+  ): void;
+  openPreferences(): void;
+  closePreferences(): void;
+  acceptAll(): void;
+  rejectAll(): void;
+  setConsent(choices: Record<string, boolean | Record<string, boolean>>): void;
+  resetConsent(): void;
+  setLanguage(language: string): void;
+  setTheme(theme: Theme | ColorScheme): void;
+}
+
+export interface ConsentLoggerStub extends ConsentLogCallback {
+  entries: ConsentLogPayload[];
+  fail: boolean;
+}
+
+export interface ConsentManager {
+  initCookieBanner(name?: string): void;
+  updateCookieBannerConfig(config?: ConsentManagerConfig, name?: string): void;
+  createInstance(name: string, config?: ConsentManagerConfig): ConsentInstance;
+  getInstance(name?: string): ConsentInstance;
+  destroyInstance(name: string): void;
+  getInstanceNames(): string[];
+  getServerState(cookieHeader?: string, name?: string): ServerState;
+  /** serverDocument is needed without a DOM, e.g. from linkedom's parseHTML() */
+  renderServerMarkup(cookieHeader?: string, serverDocument?: Document, name?: string): string;
+  injectScript(url: string, loadOption?: 'async' | 'defer'): void;
+  createConsentLoggerStub(options?: { fail?: boolean }): ConsentLoggerStub;
+  getConsent(name?: string): Consent;
+  hasConsent(cookieId: string, name?: string): boolean;
+  getVendorConsent(name?: string): VendorConsent;
+  getAuditReport(name?: string): AuditReport | null;
+  /** Render the preferences inline with their own Save button, e.g. on the privacy policy page */
+  mountPreferences(container: Element | string, name?: string): HTMLElement | null;
+  /** Without an instance name the callback hears the events of every instance */
+  on<E extends ConsentEventName>(
+    eventName: E,
+    callback: (detail: ConsentManagerEvents[E]) => void,
+    name?: string,
+  ): () => void;
+  off<E extends ConsentEventName>(
+    eventName: E,
+    callback: (detail: ConsentManagerEvents[E]) => void,
+    name?: string,
+  ): void;
+  openPreferences(name?: string): void;
+  closePreferences(name?: string): void;
+  acceptAll(name?: string): void;
+  rejectAll(name?: string): void;
+  setConsent(choices: Record<string, boolean | Record<string, boolean>>, name?: string): void;
+  resetConsent(name?: string): void;
+  setLanguage(language: string, name?: string): void;
+  setTheme(theme: Theme | ColorScheme, name?: string): void;
+}
+
+export declare class SilktideCookieBanner {
+  static readonly DEFAULT_INSTANCE: 'default';
+  static EMBED_PROVIDERS: Array<{ pattern: RegExp; name: string }>;
+  static KNOWN_TRACKERS: Array<{ pattern: RegExp; provider: string; category: string }>;
+  static createTrustedScriptURL(url: string): string;
+  static isBrowser(): boolean;
+  static getServerState(config?: ConsentManagerConfig, cookieHeader?: string): ServerState;
+  static renderServerMarkup(
+    config?: ConsentManagerConfig,
+    cookieHeader?: string,
+    serverDocument?: Document,
+  ): string;
+
+  constructor(
+    config: ConsentManagerConfig,
+    options?: { headless?: boolean; cookieHeader?: string; document?: Document },
+  );
+  readonly config: ConsentManagerConfig;
+
+  destroyCookieBanner(): void;
+  getConsent(): Consent;
+  hasConsent(cookieId: string): boolean;
+  getVendorConsent(): VendorConsent;
+  runAudit(): AuditReport;
+  mountPreferences(container: Element | string): HTMLElement | null;
+  openPreferences(): void;
+  closePreferences(): void;
+  acceptAll(): void;
+  rejectAll(): void;
+  setConsent(choices: Record<string, boolean | Record<string, boolean>>): void;
+  resetConsent(): void;
+  setLanguage(language: string): void;
+  setTheme(theme: Theme | ColorScheme): void;
+}
+
+/**
+ * Create a consent manager without touching the page. Nothing renders until initCookieBanner()
+ * or updateCookieBannerConfig() is called.
+ */
+export declare function createConsentManager(config?: ConsentManagerConfig): ConsentManager;
+
+declare global {
+  interface Window {
+    /** Set by the drop-in script */
+    silktideCookieBannerManager?: ConsentManager;
+  }
+}
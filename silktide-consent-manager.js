@@ -1,15 +1,98 @@
 // Silktide Consent Manager - https://silktide.com/consent-manager/  
 
+// ----------------------------------------------------------------
+// Trusted Types
+// ----------------------------------------------------------------
+// Kept out of the class, so code holding SilktideCookieBanner can't borrow our pass-through policy
+let trustedTypesPolicy;
+
+/**
+ * Sites that enforce Trusted Types need to allow our policy in their CSP:
+ * require-trusted-types-for 'script'; trusted-types silktide-consent-manager
+ * It's only used to parse description fields into an inert template before they're sanitized,
+ * and for scripts the site itself marked up for blocking or passed to injectScript.
+ */
+function getTrustedTypesPolicy() {
+  if (trustedTypesPolicy === undefined) {
+    trustedTypesPolicy = null;
+
+    if (typeof window !== 'undefined' && window.trustedTypes?.createPolicy) {
+      try {
+        trustedTypesPolicy = window.trustedTypes.createPolicy('silktide-consent-manager', {
+          createHTML: html => html,
+          createScript: script => script,
+          createScriptURL: url => url,
+        });
+      } catch (error) {
+        console.warn('Silktide Consent Manager: could not create the Trusted Types policy', error);
+      }
+    }
+  }
+
+  return trustedTypesPolicy;
+}
+
+function createTrustedScript(script) {
+  const policy = getTrustedTypesPolicy();
+  return policy ? policy.createScript(script) : script;
+}
+
+// ----------------------------------------------------------------
+// Instances
+// ----------------------------------------------------------------
+// The banners running on the page, so one instance's cleanup and audit leave alone the data
+// that another instance declares
+const activeBanners = new Set();
+
 class SilktideCookieBanner {
-  constructor(config) {
+  /**
+   * options are for rendering on the server, see getServerState() and renderServerMarkup(): a
+   * headless banner only reads state and renders markup into options.document
+   */
+  constructor(config, options = {}) {
     this.config = config; // Save config to the instance
 
     this.wrapper = null;
     this.banner = null;
     this.modal = null;
     this.cookieIcon = null;
+    this.optOutLink = null;
     this.backdrop = null;
 
+    this.headless = !!options.headless || !SilktideCookieBanner.isBrowser();
+    this.document = options.document || (SilktideCookieBanner.isBrowser() ? document : null);
+    this.cookieHeader = options.cookieHeader || '';
+
+    if (this.headless) {
+      this.storage = this.createStorage();
+      // Expired consent is cleared as soon as the banner loads, so it doesn't count here either
+      if (this.hasConsentRecordExpired()) {
+        this.storage = this.createEmptyStorageAdapter();
+      }
+      return;
+    }
+
+    activeBanners.add(this);
+
+    this.storage = this.createStorage();
+    // The consent log retry queue is device-local and can outgrow a cookie
+    this.deviceStorage = this.createLocalStorageAdapter();
+    this.migrateLocalStorage();
+
+    // Forget consent that was given for an older policy version or has expired
+    if (this.hasConsentRecordExpired()) {
+      this.clearStoredConsent();
+    }
+
+    // Consent Mode defaults and the TCF API must be in place before any tag can fire
+    this.setConsentModeDefault();
+    this.setupTcfApi();
+    this.applyPrivacySignal();
+    if (this.hasSetInitialCookieChoices() || this.isConsentPresumed()) {
+      this.updateConsentMode();
+      this.updateTcfData('tcloaded');
+    }
+
     this.createWrapper();
 
     if (this.shouldShowBackdrop()) {
@@ -17,6 +100,9 @@ class SilktideCookieBanner {
     }
 
     this.createCookieIcon();
+    if (this.shouldShowOptOutLink()) {
+      this.createOptOutLink();
+    }
     this.createModal();
 
     if (this.shouldShowBanner()) {
@@ -27,15 +113,24 @@ class SilktideCookieBanner {
     }
 
     this.setupEventListeners();
+    this.setupInlinePreferences();
+    this.setupTabSync();
 
-    if (this.hasSetInitialCookieChoices()) {
-      this.loadRequiredCookies();
-      this.runAcceptedCookieCallbacks();
-    }
+    // Retry any consent log entries that couldn't be delivered on a previous page
+    this.flushConsentLogQueue();
+
+    this.setupAutoBlocker();
+    this.removeServerRenderedElements();
+
+    this.restoreConsent();
+    this.setupAudit();
   }
 
   destroyCookieBanner() {
     // Remove all cookie banner elements from the DOM
+    if (this.shadowHost && this.shadowHost.parentNode) {
+      this.shadowHost.parentNode.removeChild(this.shadowHost);
+    }
     if (this.wrapper && this.wrapper.parentNode) {
       this.wrapper.parentNode.removeChild(this.wrapper);
     }
@@ -43,701 +138,3988 @@ class SilktideCookieBanner {
     // Restore scrolling
     this.allowBodyScroll();
 
+    // Stop answering TCF calls from other frames, a new instance will take over
+    if (this.tcfMessageHandler) {
+      window.removeEventListener('message', this.tcfMessageHandler);
+      this.tcfMessageHandler = null;
+    }
+
+    this.unwatchColorScheme();
+
+    if (this.autoBlockObserver) {
+      this.autoBlockObserver.disconnect();
+      this.autoBlockObserver = null;
+    }
+
+    if (this.openPreferencesClickHandler) {
+      document.removeEventListener('click', this.openPreferencesClickHandler);
+      this.openPreferencesClickHandler = null;
+    }
+
+    this.setBackgroundInert(false);
+    this.teardownTabSync();
+    this.teardownAudit();
+    this.removeInlinePreferences();
+    activeBanners.delete(this);
+
     // Clear all references
+    this.liveRegion = null;
+    this.shadowHost = null;
+    this.shadowRoot = null;
     this.wrapper = null;
     this.banner = null;
     this.modal = null;
     this.cookieIcon = null;
+    this.optOutLink = null;
     this.backdrop = null;
   }
 
   // ----------------------------------------------------------------
-  // Wrapper
-  // ----------------------------------------------------------------
-  createWrapper() {
-    this.wrapper = document.createElement('div');
-    this.wrapper.id = 'silktide-wrapper';
-    document.body.insertBefore(this.wrapper, document.body.firstChild);
-  }
-
-  // ----------------------------------------------------------------
-  // Wrapper Child Generator
+  // Storage
   // ----------------------------------------------------------------
-  createWrapperChild(htmlContent, id) {
-    // Create child element
-    const child = document.createElement('div');
-    child.id = id;
-    child.innerHTML = htmlContent;
+  /**
+   * config.storage picks where consent is kept: 'localStorage' (default), 'cookie', 'memory',
+   * { type: 'cookie', domain, path, sameSite, maxAge, secure } or a custom adapter with
+   * synchronous getItem/setItem/removeItem methods
+   */
+  createStorage() {
+    const storage = this.config.storage;
+    const type = typeof storage === 'string' ? storage : storage?.type;
 
-    // Ensure wrapper exists
-    if (!this.wrapper || !document.body.contains(this.wrapper)) {
-      this.createWrapper();
+    if (
+      storage &&
+      typeof storage.getItem === 'function' &&
+      typeof storage.setItem === 'function' &&
+      typeof storage.removeItem === 'function'
+    ) {
+      return storage;
     }
 
-    // Append child to wrapper
-    this.wrapper.appendChild(child);
-    return child;
-  }
-
-  // ----------------------------------------------------------------
-  // Backdrop
-  // ----------------------------------------------------------------
-  createBackdrop() {
-    this.backdrop = this.createWrapperChild(null, 'silktide-backdrop');
-  }
+    if (type === 'cookie') {
+      return this.createCookieStorageAdapter(typeof storage === 'object' ? storage : {});
+    }
 
-  showBackdrop() {
-    if (this.backdrop) {
-      this.backdrop.style.display = 'block';
+    // Only cookies reach the server, anything else starts out empty there
+    if (this.headless) {
+      return this.createEmptyStorageAdapter();
     }
-    // Trigger optional onBackdropOpen callback
-    if (typeof this.config.onBackdropOpen === 'function') {
-      this.config.onBackdropOpen();
+
+    if (type === 'memory') {
+      return this.createMemoryStorageAdapter();
     }
+
+    return this.createLocalStorageAdapter();
   }
 
-  hideBackdrop() {
-    if (this.backdrop) {
-      this.backdrop.style.display = 'none';
+  createLocalStorageAdapter() {
+    // localStorage throws when it's blocked (e.g. cookies disabled), so keep choices for this page only
+    try {
+      const testKey = 'silktideCookieStorageTest';
+      window.localStorage.setItem(testKey, testKey);
+      window.localStorage.removeItem(testKey);
+    } catch (e) {
+      return this.createMemoryStorageAdapter();
     }
 
-    // Trigger optional onBackdropClose callback
-    if (typeof this.config.onBackdropClose === 'function') {
-      this.config.onBackdropClose();
-    }
+    return {
+      getItem: key => window.localStorage.getItem(key),
+      setItem: (key, value) => window.localStorage.setItem(key, value),
+      removeItem: key => window.localStorage.removeItem(key),
+    };
   }
 
-  shouldShowBackdrop() {
-    return this.config?.background?.showBackground || false;
+  /**
+   * First-party cookies can be read by the server and shared with subdomains through the
+   * domain option, e.g. { type: 'cookie', domain: '.example.com' }. A headless banner reads them
+   * from the request's Cookie header and never writes.
+   */
+  createCookieStorageAdapter({
+    domain,
+    path = '/',
+    sameSite = 'Lax',
+    maxAge = 60 * 60 * 24 * 365,
+    secure = !this.headless && window.location.protocol === 'https:',
+  } = {}) {
+    const attributes = (cookieMaxAge) =>
+      [
+        `path=${path}`,
+        `max-age=${cookieMaxAge}`,
+        `SameSite=${sameSite}`,
+        domain ? `domain=${domain}` : '',
+        secure || sameSite.toLowerCase() === 'none' ? 'Secure' : '',
+      ]
+        .filter(Boolean)
+        .join('; ');
+
+    return {
+      getItem: (key) => {
+        const name = `${encodeURIComponent(key)}=`;
+        const cookies = this.headless ? this.cookieHeader : document.cookie;
+        const cookie = cookies.split(/;\s*/).find(entry => entry.indexOf(name) === 0);
+        return cookie === undefined ? null : decodeURIComponent(cookie.slice(name.length));
+      },
+      setItem: (key, value) => {
+        if (this.headless) return;
+        document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}; ${attributes(maxAge)}`;
+      },
+      removeItem: (key) => {
+        if (this.headless) return;
+        document.cookie = `${encodeURIComponent(key)}=; ${attributes(0)}`;
+      },
+    };
   }
 
-  // update the checkboxes in the modal with the values from localStorage
-  updateCheckboxState(saveToStorage = false) {
-    const preferencesSection = this.modal.querySelector('#cookie-preferences');
-    const checkboxes = preferencesSection.querySelectorAll('input[type="checkbox"]');
+  createMemoryStorageAdapter() {
+    // Shared between instances so choices survive updateCookieBannerConfig
+    const store = (SilktideCookieBanner.memoryStore = SilktideCookieBanner.memoryStore || {});
 
-    checkboxes.forEach((checkbox) => {
-      const [, cookieId] = checkbox.id.split('cookies-');
-      const cookieType = this.config.cookieTypes.find(type => type.id === cookieId);
-      
-      if (!cookieType) return;
+    return {
+      getItem: key => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+      setItem: (key, value) => {
+        store[key] = String(value);
+      },
+      removeItem: (key) => {
+        delete store[key];
+      },
+    };
+  }
 
-      if (saveToStorage) {
-        // Save the current state to localStorage and run callbacks
-        const currentState = checkbox.checked;
-        
-        if (cookieType.required) {
-          localStorage.setItem(
-            `silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`,
-            'true'
-          );
-        } else {
-          localStorage.setItem(
-            `silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`,
-            currentState.toString()
-          );
-          
-          // Run appropriate callback
-          if (currentState && typeof cookieType.onAccept === 'function') {
-            cookieType.onAccept();
-          } else if (!currentState && typeof cookieType.onReject === 'function') {
-            cookieType.onReject();
-          }
-        }
-      } else {
-        // When reading values (opening modal)
-        if (cookieType.required) {
-          checkbox.checked = true;
-          checkbox.disabled = true;
-        } else {
-          const storedValue = localStorage.getItem(
-            `silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`
-          );
-          
-          if (storedValue !== null) {
-            checkbox.checked = storedValue === 'true';
-          } else {
-            checkbox.checked = !!cookieType.defaultValue;
-          }
-        }
-      }
-    });
+  createEmptyStorageAdapter() {
+    return {
+      getItem: () => null,
+      setItem: () => {},
+      removeItem: () => {},
+    };
   }
 
-  setInitialCookieChoiceMade() {
-    window.localStorage.setItem(`silktideCookieBanner_InitialChoice${this.getBannerSuffix()}`, 1);
+  getStorageKeys() {
+    const suffix = this.getBannerSuffix();
+    return [
+      ...(this.config.cookieTypes || []).map(type => `silktideCookieChoice_${type.id}${suffix}`),
+      ...(this.config.cookieTypes || []).flatMap(type =>
+        (type.vendors || []).map(vendor => `silktideVendorChoice_${type.id}_${vendor.id}${suffix}`),
+      ),
+      `silktideCookieBanner_InitialChoice${suffix}`,
+      `silktideCookieBanner_PrivacySignal${suffix}`,
+      `silktideCookieConsent${suffix}`,
+      `silktideCookieTCString${suffix}`,
+    ];
   }
 
-  // ----------------------------------------------------------------
-  // Consent Handling
-  // ----------------------------------------------------------------
-  handleCookieChoice(accepted) {
-    // We set that an initial choice was made regardless of what it was so we don't show the banner again
-    this.setInitialCookieChoiceMade();
+  /**
+   * Move choices saved in localStorage by earlier versions (or before the storage option was
+   * changed) into the configured storage, so existing visitors aren't asked again
+   */
+  migrateLocalStorage() {
+    const storage = this.config.storage;
+    if (!storage || storage === 'localStorage' || storage.type === 'localStorage') return;
 
-    this.removeBanner();
-    this.hideBackdrop();
-    this.toggleModal(false);
-    this.showCookieIcon();
+    let localStorage;
+    try {
+      localStorage = window.localStorage;
+    } catch (e) {
+      return;
+    }
 
-    this.config.cookieTypes.forEach((type) => {
-      // Set localStorage and run accept/reject callbacks
-      if (type.required == true) {
-        localStorage.setItem(`silktideCookieChoice_${type.id}${this.getBannerSuffix()}`, 'true');
-        if (typeof type.onAccept === 'function') { type.onAccept() }
-      } else {
-        localStorage.setItem(
-          `silktideCookieChoice_${type.id}${this.getBannerSuffix()}`,
-          accepted.toString(),
-        );
+    this.getStorageKeys().forEach((key) => {
+      const value = localStorage.getItem(key);
+      if (value === null) return;
 
-        if (accepted) {
-          if (typeof type.onAccept === 'function') { type.onAccept(); }
-        } else {
-          if (typeof type.onReject === 'function') { type.onReject(); }
-        }
+      if (this.storage.getItem(key) === null) {
+        this.storage.setItem(key, value);
       }
+      localStorage.removeItem(key);
     });
+  }
 
-    // Trigger optional onAcceptAll/onRejectAll callbacks
-    if (accepted && typeof this.config.onAcceptAll === 'function') {
-      if (typeof this.config.onAcceptAll === 'function') { this.config.onAcceptAll(); }
-    } else if (typeof this.config.onRejectAll === 'function') {
-      if (typeof this.config.onRejectAll === 'function') { this.config.onRejectAll(); }
+  // ----------------------------------------------------------------
+  // Wrapper
+  // ----------------------------------------------------------------
+  createWrapper() {
+    const renderedWrapper = this.headless
+      ? null
+      : this.document.getElementById(this.getElementId('silktide-wrapper'));
+    if (renderedWrapper?.hasAttribute('data-silktide-ssr')) {
+      this.hydrateWrapper(renderedWrapper);
+      return;
     }
 
-    // finally update the checkboxes in the modal with the values from localStorage
-    this.updateCheckboxState();
+    this.wrapper = this.document.createElement('div');
+    this.wrapper.id = this.getElementId('silktide-wrapper');
+    this.wrapper.classList.add('silktide-wrapper');
+    if (this.config.container) {
+      this.wrapper.classList.add('contained');
+    }
+    this.applyLanguageAttributes();
+    this.applyTheme();
+    this.createLiveRegion();
+
+    if (this.isShadowDomEnabled()) {
+      if (!this.shadowHost?.isConnected) {
+        this.createShadowHost();
+      }
+      this.shadowRoot.appendChild(this.wrapper);
+      return;
+    }
+
+    const container = this.getContainer();
+    container.insertBefore(this.wrapper, container.firstChild);
   }
 
-  getAcceptedCookies() {
-    return (this.config.cookieTypes || []).reduce((acc, cookieType) => {
-      acc[cookieType.id] =
-        localStorage.getItem(`silktideCookieChoice_${cookieType.id}${this.getBannerSuffix()}`) ===
-        'true';
-      return acc;
-    }, {});
+  /**
+   * Take over markup from renderServerMarkup() rather than adding the banner again, so it doesn't
+   * flash in after the page has rendered. Its banner, backdrop, icon and live region are handed out
+   * by adoptServerRendered() as they're created, anything left over is removed.
+   */
+  hydrateWrapper(wrapper) {
+    this.wrapper = wrapper;
+    this.wrapper.removeAttribute('data-silktide-ssr');
+    this.serverRenderedElements = Array.from(wrapper.children);
+    this.applyLanguageAttributes();
+    this.applyTheme();
+    this.createLiveRegion();
   }
 
-  runAcceptedCookieCallbacks() {
-    if (!this.config.cookieTypes) return;
+  adoptServerRendered(id) {
+    const elements = this.serverRenderedElements || [];
+    const index = elements.findIndex(element => element.id === this.getElementId(id));
+    return index === -1 ? null : elements.splice(index, 1)[0];
+  }
 
-    const acceptedCookies = this.getAcceptedCookies();
-    this.config.cookieTypes.forEach((type) => {
-      if (type.required) return; // we run required cookies separately in loadRequiredCookies
-      if (acceptedCookies[type.id] && typeof type.onAccept === 'function') {
-        if (typeof type.onAccept === 'function') { type.onAccept(); }
-      }
-    });
+  removeServerRenderedElements() {
+    (this.serverRenderedElements || []).forEach(element => element.remove());
+    this.serverRenderedElements = null;
+  }
+
+  /**
+   * config.container (an element or a selector) mounts the banner inside part of the page, such
+   * as an embedded widget, instead of at the top of the body. The container should be positioned.
+   */
+  getContainer() {
+    const { container } = this.config;
+    const element =
+      typeof container === 'string' ? this.document.querySelector(container) : container;
+    return element?.isConnected ? element : this.document.body;
   }
 
-  runRejectedCookieCallbacks() {
-    if (!this.config.cookieTypes) return;
+  // ----------------------------------------------------------------
+  // Server Rendering
+  // ----------------------------------------------------------------
+  static isBrowser() {
+    return typeof window !== 'undefined' && typeof document !== 'undefined';
+  }
 
-    const rejectedCookies = this.getRejectedCookies();
-    this.config.cookieTypes.forEach((type) => {
-      if (rejectedCookies[type.id] && typeof type.onReject === 'function') {
-        if (typeof type.onReject === 'function') { type.onReject(); }
-      }
-    });
+  /**
+   * Work out on the server whether the banner will show and what has been consented to, from the
+   * request's Cookie header. Choices only reach the server with config.storage set to 'cookie'.
+   */
+  static getServerState(config = {}, cookieHeader = '') {
+    return new SilktideCookieBanner(config, { headless: true, cookieHeader }).getServerState();
   }
 
   /**
-   * Run through all of the cookie callbacks based on the current localStorage values
+   * The banner's markup for the server to include in the page. It needs a document to render into
+   * when there's no DOM, e.g. the one from linkedom's parseHTML() or new JSDOM().window.document.
    */
-  runStoredCookiePreferenceCallbacks() {
-    this.config.cookieTypes.forEach((type) => {
-      const accepted =
-        localStorage.getItem(`silktideCookieChoice_${type.id}${this.getBannerSuffix()}`) === 'true';
-      // Set localStorage and run accept/reject callbacks
-      if (accepted) {
-        if (typeof type.onAccept === 'function') { type.onAccept(); }
-      } else {
-        if (typeof type.onReject === 'function') { type.onReject(); }
-      }
-    });
+  static renderServerMarkup(config = {}, cookieHeader = '', serverDocument) {
+    const ownerDocument = serverDocument || (SilktideCookieBanner.isBrowser() ? document : null);
+    if (!ownerDocument) {
+      throw new Error('Silktide Consent Manager: renderServerMarkup needs a document to render into');
+    }
+
+    return new SilktideCookieBanner(config, {
+      headless: true,
+      cookieHeader,
+      document: ownerDocument,
+    }).renderServerMarkup();
+  }
+
+  getServerState() {
+    const showBanner = this.shouldShowBanner();
+
+    return {
+      showBanner,
+      showBackdrop: showBanner && this.shouldShowBackdrop(),
+      mode: this.getJurisdictionMode(),
+      hasConsented: this.hasSetInitialCookieChoices(),
+      consent: this.getConsent(),
+      vendors: this.getVendorConsent(),
+    };
   }
 
-  loadRequiredCookies() {
-    if (!this.config.cookieTypes) return;
-    this.config.cookieTypes.forEach((cookie) => {
-      if (cookie.required && typeof cookie.onAccept === 'function') {
-        if (typeof cookie.onAccept === 'function') { cookie.onAccept(); }
+  /**
+   * The wrapper with the banner, or the cookie icon once a choice has been made, as HTML. The
+   * script hydrates it instead of adding its own.
+   */
+  renderServerMarkup() {
+    this.createWrapper();
+    this.wrapper.setAttribute('data-silktide-ssr', '');
+    this.createCookieIcon();
+    if (this.shouldShowOptOutLink()) {
+      this.createOptOutLink();
+    }
+
+    if (this.shouldShowBanner()) {
+      if (this.shouldShowBackdrop()) {
+        this.createBackdrop();
+        this.backdrop.style.display = 'block';
       }
-    });
+      this.renderBanner();
+    } else {
+      this.showCookieIcon();
+    }
+
+    const markup = this.wrapper.outerHTML;
+    this.wrapper.remove();
+    this.wrapper = null;
+    return markup;
   }
 
   // ----------------------------------------------------------------
-  // Banner
+  // Instances
   // ----------------------------------------------------------------
-  getBannerContent() {
-    const bannerDescription =
-      this.config.text?.banner?.description ||
-      "<p>We use cookies on our site to enhance your user experience, provide personalized content, and analyze our traffic.</p>";
+  /**
+   * config.name identifies the banner when several run on one page. Every named instance keeps its
+   * consent under its own storage suffix and scopes its element ids, e.g. silktide-modal--shop.
+   */
+  getInstanceName() {
+    return this.config.name || SilktideCookieBanner.DEFAULT_INSTANCE;
+  }
 
-    // Accept button
-    const acceptAllButtonText = this.config.text?.banner?.acceptAllButtonText || 'Accept all';
-    const acceptAllButtonLabel = this.config.text?.banner?.acceptAllButtonAccessibleLabel;
-    const acceptAllButton = `<button class="accept-all st-button st-button--primary"${
-      acceptAllButtonLabel && acceptAllButtonLabel !== acceptAllButtonText 
-        ? ` aria-label="${acceptAllButtonLabel}"` 
-        : ''
-    }>${acceptAllButtonText}</button>`;
-    
-    // Reject button
-    const rejectNonEssentialButtonText = this.config.text?.banner?.rejectNonEssentialButtonText || 'Reject non-essential';
-    const rejectNonEssentialButtonLabel = this.config.text?.banner?.rejectNonEssentialButtonAccessibleLabel;
-    const rejectNonEssentialButton = `<button class="reject-all st-button st-button--primary"${
-      rejectNonEssentialButtonLabel && rejectNonEssentialButtonLabel !== rejectNonEssentialButtonText 
-        ? ` aria-label="${rejectNonEssentialButtonLabel}"` 
-        : ''
-    }>${rejectNonEssentialButtonText}</button>`;
-
-    // Preferences button
-    const preferencesButtonText = this.config.text?.banner?.preferencesButtonText || 'Preferences';
-    const preferencesButtonLabel = this.config.text?.banner?.preferencesButtonAccessibleLabel;
-    const preferencesButton = `<button class="preferences"${
-      preferencesButtonLabel && preferencesButtonLabel !== preferencesButtonText 
-        ? ` aria-label="${preferencesButtonLabel}"` 
-        : ''
-    }><span>${preferencesButtonText}</span></button>`;
-    
+  isDefaultInstance() {
+    return this.getInstanceName() === SilktideCookieBanner.DEFAULT_INSTANCE;
+  }
 
-    // Silktide logo link
-    const silktideLogo = `
-      <a class="silktide-logo" href="https://silktide.com/consent-manager" target="_blank" rel="noreferrer" aria-label="Visit the Silktide Consent Manager page">
-        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="25" viewBox="0 0 24 25" fill="inherit">
-          <path fill-rule="evenodd" clip-rule="evenodd" d="M14.1096 16.7745C13.8895 17.2055 13.3537 17.3805 12.9129 17.1653L8.28443 14.9055L2.73192 17.7651L11.1025 21.9814C11.909 22.3876 12.8725 22.3591 13.6524 21.9058L20.4345 17.9645C21.2845 17.4704 21.7797 16.5522 21.7164 15.5872L21.7088 15.4704C21.6487 14.5561 21.0962 13.7419 20.2579 13.3326L15.6793 11.0972L10.2283 13.9045L13.71 15.6043C14.1507 15.8195 14.3297 16.3434 14.1096 16.7745ZM8.2627 12.9448L13.7136 10.1375L10.2889 8.46543C9.84803 8.25021 9.66911 7.72629 9.88916 7.29524C10.1093 6.86417 10.6451 6.68921 11.0859 6.90442L15.6575 9.13647L21.2171 6.27325L12.8808 2.03496C12.0675 1.62147 11.0928 1.65154 10.3078 2.11432L3.54908 6.09869C2.70732 6.59492 2.21846 7.50845 2.28139 8.46761L2.29003 8.59923C2.35002 9.51362 2.9026 10.3278 3.7409 10.7371L8.2627 12.9448ZM6.31884 13.9458L2.94386 12.2981C1.53727 11.6113 0.610092 10.2451 0.509431 8.71094L0.500795 8.57933C0.3952 6.96993 1.21547 5.4371 2.62787 4.60447L9.38662 0.620092C10.7038 -0.156419 12.3392 -0.206861 13.7039 0.486938L23.3799 5.40639C23.4551 5.44459 23.5224 5.4918 23.5811 5.54596C23.7105 5.62499 23.8209 5.73754 23.897 5.87906C24.1266 6.30534 23.9594 6.83293 23.5234 7.05744L17.6231 10.0961L21.0549 11.7716C22.4615 12.4583 23.3887 13.8245 23.4893 15.3587L23.497 15.4755C23.6033 17.0947 22.7724 18.6354 21.346 19.4644L14.5639 23.4057C13.2554 24.1661 11.6386 24.214 10.2854 23.5324L0.621855 18.6649C0.477299 18.592 0.361696 18.4859 0.279794 18.361C0.210188 18.2968 0.150054 18.2204 0.10296 18.133C-0.126635 17.7067 0.0406445 17.1792 0.47659 16.9546L6.31884 13.9458Z" fill="inherit"/>
-        </svg>
-      </a>
-    `;
-
-    const bannerContent = `
-      ${bannerDescription}
-      <div class="actions">                               
-        ${acceptAllButton}
-        ${rejectNonEssentialButton}
-        <div class="actions-row">
-          ${preferencesButton}
-          ${silktideLogo}
-        </div>
-      </div>
-    `;
-
-    return bannerContent;
+  /**
+   * Blocked scripts, iframes and their placeholders belong to the site's banner unless they name
+   * another instance, e.g. data-silktide-instance="shop"
+   */
+  ownsElement(element) {
+    const instanceName =
+      element.getAttribute('data-silktide-instance') || SilktideCookieBanner.DEFAULT_INSTANCE;
+    return instanceName === this.getInstanceName();
   }
 
-  hasSetInitialCookieChoices() {
-    return !!localStorage.getItem(`silktideCookieBanner_InitialChoice${this.getBannerSuffix()}`);
+  /**
+   * The other banners on the page that declare a cookie or storage key, with whether they have
+   * consent for it
+   */
+  getOtherDeclarations(name, storage) {
+    return Array.from(activeBanners)
+      .filter(banner => banner !== this && banner.document === this.document)
+      .map((banner) => {
+        const declaration = banner.findDeclaration(name, storage);
+        if (!declaration) return null;
+
+        const { cookieType, vendor } = declaration;
+        const cookieId = vendor ? `${cookieType}:${vendor}` : cookieType;
+        return { ...declaration, hasConsent: banner.hasConsent(cookieId) };
+      })
+      .filter(Boolean);
   }
 
-  createBanner() {
-    // Create banner element
-    this.banner = this.createWrapperChild(this.getBannerContent(), 'silktide-banner');
+  getElementId(id) {
+    if (this.isDefaultInstance()) return id;
+    return `${id}--${String(this.getInstanceName()).replace(/[^\w-]/g, '-')}`;
+  }
 
-    // Add positioning class from config
-    if (this.banner && this.config.position?.banner) {
-      this.banner.classList.add(this.config.position.banner);
+  // ----------------------------------------------------------------
+  // Shadow DOM
+  // ----------------------------------------------------------------
+  /**
+   * With config.shadowDom the wrapper is mounted in an open shadow root on #silktide-host, so the
+   * page's CSS can't reach the banner and modal. Theme variables such as --primaryColor can still
+   * be set from the page on #silktide-host.
+   * config.shadowDom can be true, or { styles, stylesheetUrl } where styles is CSS text or a
+   * CSSStyleSheet to use instead of silktide-consent-manager.css.
+   */
+  isShadowDomEnabled() {
+    // Markup rendered on the server lives in the page itself
+    if (this.headless) return false;
+    return !!this.config.shadowDom && typeof document.body.attachShadow === 'function';
+  }
+
+  createShadowHost() {
+    this.shadowHost = document.createElement('div');
+    this.shadowHost.id = this.getElementId('silktide-host');
+    this.shadowRoot = this.shadowHost.attachShadow({ mode: 'open' });
+    const container = this.getContainer();
+    container.insertBefore(this.shadowHost, container.firstChild);
+    this.adoptShadowStyles();
+  }
+
+  /**
+   * Use the styles from config.shadowDom.styles, else copy the rules of the stylesheet already on
+   * the page, else fetch it. The host stays hidden until fetched styles arrive.
+   */
+  adoptShadowStyles() {
+    const { styles, stylesheetUrl } =
+      typeof this.config.shadowDom === 'object' ? this.config.shadowDom : {};
+
+    if (styles) {
+      this.applyShadowStyles(typeof styles === 'string' ? styles : this.getStylesheetText(styles));
+      return;
     }
 
-    // Trigger optional onBannerOpen callback
-    if (this.banner && typeof this.config.onBannerOpen === 'function') {
-      this.config.onBannerOpen();
+    const pageStylesheet = Array.from(document.styleSheets).find(
+      sheet => sheet.href && /silktide-consent-manager(\.min)?\.css([?#]|$)/.test(sheet.href),
+    );
+    const pageStyles = pageStylesheet && this.getStylesheetText(pageStylesheet);
+    if (pageStyles) {
+      this.applyShadowStyles(pageStyles);
+      return;
     }
-  }
 
-  removeBanner() {
-    if (this.banner && this.banner.parentNode) {
-      this.banner.parentNode.removeChild(this.banner);
-      this.banner = null;
+    // Cross-origin stylesheets don't expose their rules, so load the file ourselves
+    const url = stylesheetUrl || pageStylesheet?.href || 'silktide-consent-manager.css';
+    const shadowHost = this.shadowHost;
+    shadowHost.style.visibility = 'hidden';
 
-      // Trigger optional onBannerClose callback
-      if (typeof this.config.onBannerClose === 'function') {
-        this.config.onBannerClose();
-      }
+    fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Unexpected response ${response.status} for ${url}`);
+        }
+        return response.text();
+      })
+      .then(cssText => this.shadowHost === shadowHost && this.applyShadowStyles(cssText))
+      .catch((error) => {
+        console.warn('Silktide Consent Manager: could not load styles for the shadow root', error);
+      })
+      .finally(() => shadowHost.style.removeProperty('visibility'));
+  }
+
+  getStylesheetText(stylesheet) {
+    try {
+      return Array.from(stylesheet.cssRules).map(rule => rule.cssText).join('\n');
+    } catch (e) {
+      return null;
     }
   }
 
-  shouldShowBanner() {
-    if (this.config.showBanner === false) {
-      return false;
+  applyShadowStyles(cssText) {
+    if (!this.shadowRoot || !cssText) return;
+
+    if (Array.isArray(this.shadowRoot.adoptedStyleSheets)) {
+      const stylesheet = new CSSStyleSheet();
+      stylesheet.replaceSync(cssText);
+      this.moveThemeVariablesToHost(stylesheet);
+      this.shadowRoot.adoptedStyleSheets = [stylesheet];
+    } else {
+      const style = document.createElement('style');
+      style.textContent = cssText;
+      this.shadowRoot.insertBefore(style, this.shadowRoot.firstChild);
+      if (style.sheet) {
+        this.moveThemeVariablesToHost(style.sheet);
+      }
     }
-    return (
-      localStorage.getItem(`silktideCookieBanner_InitialChoice${this.getBannerSuffix()}`) === null
-    );
+  }
+
+  /**
+   * The variables are declared on #silktide-wrapper, which the page can't select inside the
+   * shadow root. Declared on :host instead, rules for #silktide-host on the page override them.
+   * all: initial stops inherited text styles leaking in from the page.
+   */
+  moveThemeVariablesToHost(stylesheet) {
+    const declarations = [];
+
+    Array.from(stylesheet.cssRules).forEach((rule) => {
+      const selectors = (rule.selectorText || '').split(',').map(selector => selector.trim());
+      if (!selectors.includes('#silktide-wrapper')) return;
+
+      Array.from(rule.style)
+        .filter(name => name.startsWith('--'))
+        .forEach((name) => {
+          declarations.push(`${name}: ${rule.style.getPropertyValue(name).trim()};`);
+          rule.style.removeProperty(name);
+        });
+    });
+
+    stylesheet.insertRule(`:host { all: initial; ${declarations.join(' ')} }`, 0);
+  }
+
+  // ----------------------------------------------------------------
+  // Theme
+  // ----------------------------------------------------------------
+  /**
+   * config.theme sets the CSS variables from JS, e.g.
+   * { colorScheme: 'auto', primaryColor: '#0a5c8a', borderRadius: '8px', dark: { primaryColor: '#7cc4ef' } }
+   * colorScheme is 'light' (the default), 'dark' or 'auto' to follow prefers-color-scheme. Top level
+   * values apply to both schemes, light and dark blocks only to their own, and the dark scheme starts
+   * from SilktideCookieBanner.DARK_THEME. A string is taken as the colorScheme.
+   */
+  getTheme() {
+    const theme = this.config.theme;
+    return typeof theme === 'string' ? { colorScheme: theme } : theme || {};
+  }
+
+  getColorScheme() {
+    const { colorScheme = 'light' } = this.getTheme();
+
+    if (colorScheme === 'auto') {
+      return this.getColorSchemeQuery()?.matches ? 'dark' : 'light';
+    }
+    return colorScheme === 'dark' ? 'dark' : 'light';
+  }
+
+  getColorSchemeQuery() {
+    if (!this.colorSchemeQuery && !this.headless && typeof window.matchMedia === 'function') {
+      this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    }
+    return this.colorSchemeQuery;
+  }
+
+  getThemeVariables(colorScheme = this.getColorScheme()) {
+    const theme = this.getTheme();
+    const values = {
+      ...(colorScheme === 'dark' ? SilktideCookieBanner.DARK_THEME : {}),
+      ...theme,
+      ...theme[colorScheme],
+    };
+
+    return SilktideCookieBanner.THEME_VARIABLES.reduce((variables, name) => {
+      if (values[name] !== undefined && values[name] !== null) {
+        variables[`--${name}`] = String(values[name]);
+      }
+      return variables;
+    }, {});
+  }
+
+  /**
+   * Set the theme's variables on the wrapper, clearing any from the previous scheme. The banner,
+   * modal, backdrop and icon all live in the wrapper so they pick them up together.
+   */
+  applyTheme() {
+    if (!this.wrapper) return;
+
+    const colorScheme = this.getColorScheme();
+    const variables = this.getThemeVariables(colorScheme);
+
+    // Placeholders and inline panels sit in the page rather than the wrapper, so they get the
+    // variables too
+    [this.wrapper, ...this.getPlaceholders(), ...(this.inlinePanels || [])].forEach((element) => {
+      (this.themeVariableNames || []).forEach((name) => {
+        if (!(name in variables)) {
+          element.style.removeProperty(name);
+        }
+      });
+      Object.keys(variables).forEach((name) => {
+        element.style.setProperty(name, variables[name]);
+      });
+    });
+    this.themeVariableNames = Object.keys(variables);
+
+    this.wrapper.setAttribute('data-color-scheme', colorScheme);
+    this.wrapper.style.colorScheme = colorScheme;
+
+    this.watchColorScheme();
+  }
+
+  /**
+   * Follow the OS setting live while colorScheme is 'auto'
+   */
+  watchColorScheme() {
+    const shouldWatch = this.getTheme().colorScheme === 'auto';
+
+    if (shouldWatch && !this.colorSchemeChangeHandler && this.getColorSchemeQuery()) {
+      this.colorSchemeChangeHandler = () => {
+        this.applyTheme();
+        this.emit('colorSchemeChanged', { colorScheme: this.getColorScheme() });
+      };
+      this.getColorSchemeQuery().addEventListener('change', this.colorSchemeChangeHandler);
+    } else if (!shouldWatch) {
+      this.unwatchColorScheme();
+    }
+  }
+
+  unwatchColorScheme() {
+    if (this.colorSchemeChangeHandler) {
+      this.colorSchemeQuery.removeEventListener('change', this.colorSchemeChangeHandler);
+      this.colorSchemeChangeHandler = null;
+    }
+  }
+
+  setTheme(theme) {
+    this.config.theme = theme;
+    this.applyTheme();
+  }
+
+  // ----------------------------------------------------------------
+  // Wrapper Child Generator
+  // ----------------------------------------------------------------
+  createWrapperChild(content, id) {
+    const rendered = this.adoptServerRendered(id);
+    if (rendered) return rendered;
+
+    // Create child element
+    const child = this.document.createElement('div');
+    child.id = this.getElementId(id);
+    child.classList.add(id);
+    if (content) {
+      child.appendChild(content);
+    }
+
+    // Ensure wrapper exists
+    if (!this.wrapper?.isConnected) {
+      this.createWrapper();
+    }
+
+    // Append child to wrapper
+    this.wrapper.appendChild(child);
+    return child;
+  }
+
+  // ----------------------------------------------------------------
+  // Rendering
+  // ----------------------------------------------------------------
+  /**
+   * Build an element from its attributes and children. Strings become text nodes, so text from
+   * the config is never parsed as markup. Attributes that are null, undefined or false are left off.
+   */
+  createElement(tagName, attributes = {}, children = []) {
+    const element = this.document.createElement(tagName);
+
+    Object.keys(attributes).forEach((name) => {
+      const value = attributes[name];
+      if (value === null || value === undefined || value === false) return;
+      element.setAttribute(name, value === true ? '' : value);
+    });
+
+    element.appendChild(this.createFragment(children));
+    return element;
+  }
+
+  createFragment(children = []) {
+    const fragment = this.document.createDocumentFragment();
+
+    [children].flat(Infinity).forEach((child) => {
+      if (child === null || child === undefined || child === false) return;
+      fragment.appendChild(
+        typeof child === 'object' ? child : this.document.createTextNode(String(child)),
+      );
+    });
+
+    return fragment;
+  }
+
+  /**
+   * A button whose accessible label is only set when it says something the visible text doesn't
+   */
+  createButton(className, content, accessibleLabel) {
+    return this.createElement(
+      'button',
+      {
+        class: className,
+        'aria-label': accessibleLabel && accessibleLabel !== content ? accessibleLabel : null,
+      },
+      [content],
+    );
+  }
+
+  createPreferencesButton() {
+    const preferencesButtonText = this.getText().banner?.preferencesButtonText || 'Preferences';
+
+    return this.createElement(
+      'button',
+      {
+        class: 'preferences',
+        'aria-label':
+          this.getText().banner?.preferencesButtonAccessibleLabel !== preferencesButtonText
+            ? this.getText().banner?.preferencesButtonAccessibleLabel
+            : null,
+      },
+      [this.createElement('span', {}, [preferencesButtonText])],
+    );
+  }
+
+  createIcon({ width, height, viewBox, fill, paths }) {
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const svg = this.document.createElementNS(svgNamespace, 'svg');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', viewBox);
+    svg.setAttribute('fill', fill);
+
+    paths.forEach((attributes) => {
+      const path = this.document.createElementNS(svgNamespace, 'path');
+      Object.keys(attributes).forEach(name => path.setAttribute(name, attributes[name]));
+      svg.appendChild(path);
+    });
+
+    return svg;
+  }
+
+  /**
+   * Description fields are allowed to contain simple markup such as <p>, <a> and <strong>. They're
+   * parsed into an inert template and rebuilt from the tags and attributes in
+   * SilktideCookieBanner.ALLOWED_HTML; anything else is unwrapped to its text content.
+   */
+  createHtmlFragment(html) {
+    const template = this.document.createElement('template');
+    const policy = getTrustedTypesPolicy();
+    const markup = String(html ?? '');
+    template.innerHTML = policy ? policy.createHTML(markup) : markup;
+    return this.sanitizeHtmlNodes(template.content);
+  }
+
+  sanitizeHtmlNodes(parent) {
+    const { tags, attributes, removeWithContent } = SilktideCookieBanner.ALLOWED_HTML;
+    const fragment = this.document.createDocumentFragment();
+
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === node.TEXT_NODE) {
+        fragment.appendChild(this.document.createTextNode(node.data));
+        return;
+      }
+      if (node.nodeType !== node.ELEMENT_NODE) return;
+
+      const tagName = node.localName;
+      if (removeWithContent.includes(tagName)) return;
+
+      const children = this.sanitizeHtmlNodes(node);
+      if (!tags.includes(tagName) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+        fragment.appendChild(children);
+        return;
+      }
+
+      const element = this.document.createElement(tagName);
+      Array.from(node.attributes).forEach(({ name, value }) => {
+        if (!attributes['*'].includes(name) && !(attributes[tagName] || []).includes(name)) return;
+        if (name === 'href' && !this.isSafeUrl(value)) return;
+        element.setAttribute(name, value);
+      });
+      if (element.getAttribute('target') === '_blank') {
+        element.setAttribute('rel', 'noopener noreferrer');
+      }
+
+      element.appendChild(children);
+      fragment.appendChild(element);
+    });
+
+    return fragment;
+  }
+
+  /**
+   * Relative URLs and http(s), mailto and tel links are fine, other schemes such as javascript: aren't
+   */
+  isSafeUrl(url) {
+    // Browsers ignore whitespace and control characters in a scheme, e.g. "java\tscript:"
+    const normalizedUrl = String(url).replace(/[\u0000- ]/g, '');
+    return !/^[a-z][a-z0-9+.-]*:/i.test(normalizedUrl) || /^(https?|mailto|tel):/i.test(normalizedUrl);
+  }
+
+  // ----------------------------------------------------------------
+  // Trusted Types
+  // ----------------------------------------------------------------
+  // Script URLs go through the same policy, see getTrustedTypesPolicy()
+  static createTrustedScriptURL(url) {
+    const policy = getTrustedTypesPolicy();
+    return policy ? policy.createScriptURL(url) : url;
+  }
+
+  // ----------------------------------------------------------------
+  // Translations
+  // ----------------------------------------------------------------
+  /**
+   * config.translations holds text bundles keyed by locale, shaped like config.text plus the
+   * cookie type names and descriptions, e.g.
+   * { fr: { banner: {...}, preferences: {...}, cookieTypes: { analytics: { name, description } } } }
+   * The language comes from setLanguage(), config.language, <html lang> or navigator.languages,
+   * falling back to config.defaultLanguage and then to config.text.
+   */
+  resolveLanguage(requestedLanguage) {
+    const available = Object.keys(this.config.translations || {});
+    const candidates = [
+      requestedLanguage,
+      this.config.language,
+      this.document?.documentElement?.lang,
+      // On the server this would be the server's language, pass config.language instead
+      ...(this.headless ? [] : navigator.languages || [navigator.language]),
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const language = this.matchLanguage(candidate, available);
+      if (language) return language;
+    }
+
+    return this.matchLanguage(this.config.defaultLanguage || '', available);
+  }
+
+  /**
+   * Find the best available locale for a language tag: an exact match, then the base language
+   * (fr-CA -> fr), then any regional variant of it (fr -> fr-FR)
+   */
+  matchLanguage(language, available) {
+    const requested = language.toLowerCase();
+    const base = requested.split('-')[0];
+
+    return (
+      available.find(locale => locale.toLowerCase() === requested) ||
+      available.find(locale => locale.toLowerCase() === base) ||
+      available.find(locale => locale.toLowerCase().split('-')[0] === base) ||
+      null
+    );
+  }
+
+  getLanguage() {
+    if (this.language === undefined) {
+      this.language = this.resolveLanguage();
+    }
+    return this.language;
+  }
+
+  getTranslation() {
+    const language = this.getLanguage();
+    return (language && this.config.translations?.[language]) || {};
+  }
+
+  /**
+   * config.text with the current translation applied on top
+   */
+  getText() {
+    const text = this.config.text || {};
+    const translation = this.getTranslation();
+    const merged = {};
+
+    new Set([...Object.keys(text), ...Object.keys(translation)]).forEach((section) => {
+      if (section === 'cookieTypes' || section === 'dir') return;
+      merged[section] = { ...text[section], ...translation[section] };
+    });
+
+    return merged;
+  }
+
+  getCookieTypeText(type) {
+    const translated = this.getTranslation().cookieTypes?.[type.id] || {};
+    return {
+      name: translated.name || type.name,
+      description: translated.description || type.description,
+    };
+  }
+
+  isRightToLeft() {
+    const translation = this.getTranslation();
+    if (translation.dir) {
+      return translation.dir === 'rtl';
+    }
+
+    const language = (this.getLanguage() || '').toLowerCase().split('-')[0];
+    return ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'].includes(language);
+  }
+
+  applyLanguageAttributes() {
+    if (!this.wrapper) return;
+
+    const language = this.getLanguage();
+    if (language) {
+      this.wrapper.setAttribute('lang', language);
+    } else {
+      this.wrapper.removeAttribute('lang');
+    }
+
+    if (this.isRightToLeft()) {
+      this.wrapper.setAttribute('dir', 'rtl');
+    } else {
+      this.wrapper.removeAttribute('dir');
+    }
+  }
+
+  /**
+   * Switch language and re-render the banner, modal and icon in place
+   */
+  setLanguage(language) {
+    this.language = this.resolveLanguage(language);
+    this.applyLanguageAttributes();
+
+    if (this.banner) {
+      const banner = this.banner.cloneNode(false);
+      banner.appendChild(this.getBannerContent());
+      this.replaceKeepingFocus(this.banner, banner);
+      this.banner = banner;
+      this.applyBannerAttributes();
+      // A language picker on the page shouldn't lose focus to Accept all
+      this.setupBannerEventListeners(false);
+    }
+
+    if (this.modal) {
+      const modal = this.modal.cloneNode(false);
+      modal.appendChild(this.getModalContent());
+      this.replaceKeepingFocus(this.modal, modal);
+      this.modal = modal;
+      this.setupModalEventListeners();
+    }
+
+    if (this.cookieIcon) {
+      this.updateCookieIconText();
+    }
+
+    if (this.optOutLink) {
+      this.optOutLink.textContent = this.getOptOutLinkText();
+    }
+
+    // Placeholders and inline panels are rebuilt in the new language
+    this.updateBlockedContent();
+    (this.inlinePanels || []).slice().forEach(panel => this.mountPreferences(panel.parentNode));
+
+    this.emit('languageChanged', { language: this.language });
+  }
+
+  // ----------------------------------------------------------------
+  // Backdrop
+  // ----------------------------------------------------------------
+  createBackdrop() {
+    this.backdrop = this.createWrapperChild(null, 'silktide-backdrop');
+    // Server-rendered markup can have it showing already, it's shown again along with the banner
+    this.backdrop.style.display = 'none';
+  }
+
+  showBackdrop() {
+    if (this.backdrop) {
+      this.backdrop.style.display = 'block';
+    }
+    // Trigger optional onBackdropOpen callback
+    if (typeof this.config.onBackdropOpen === 'function') {
+      this.config.onBackdropOpen();
+    }
+  }
+
+  hideBackdrop() {
+    if (this.backdrop) {
+      this.backdrop.style.display = 'none';
+    }
+
+    // Trigger optional onBackdropClose callback
+    if (typeof this.config.onBackdropClose === 'function') {
+      this.config.onBackdropClose();
+    }
+  }
+
+  shouldShowBackdrop() {
+    // Only an opt-in banner is blocking, the other jurisdictions just inform
+    if (this.getJurisdictionMode() !== 'opt-in') return false;
+    return this.config?.background?.showBackground || false;
+  }
+
+  // update the checkboxes in the modal (or an inline panel's section) with the values from storage
+  updateCheckboxState(
+    saveToStorage = false,
+    method = 'custom',
+    section = this.getPreferencesSection(),
+  ) {
+    const checkboxes = this.getCategoryCheckboxes(section);
+
+    checkboxes.forEach((checkbox) => {
+      const cookieId = checkbox.getAttribute('data-cookie-type');
+      const cookieType = this.config.cookieTypes.find(type => type.id === cookieId);
+      
+      if (!cookieType) return;
+
+      if (saveToStorage) {
+        // Save the current state to storage
+        if (cookieType.vendors?.length && !cookieType.required) {
+          this.storeVendorChoices(
+            cookieType,
+            this.getVendorCheckboxes(cookieType, section).reduce((choices, vendorCheckbox) => {
+              choices[vendorCheckbox.getAttribute('data-vendor')] = vendorCheckbox.checked;
+              return choices;
+            }, {}),
+          );
+        } else {
+          this.storeCookieChoice(cookieType, cookieType.required ? true : checkbox.checked);
+        }
+      } else {
+        // When reading values (opening modal)
+        if (cookieType.required) {
+          checkbox.checked = true;
+          checkbox.disabled = true;
+        } else {
+          const storedValue = this.storage.getItem(
+            `silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`
+          );
+          
+          if (storedValue !== null) {
+            checkbox.checked = storedValue === 'true';
+          } else {
+            checkbox.checked = this.getDefaultCookieChoice(cookieType);
+          }
+        }
+
+        const vendorConsent = this.getVendorConsent({ [cookieId]: checkbox.checked })[cookieId] || {};
+        this.getVendorCheckboxes(cookieType, section).forEach((vendorCheckbox) => {
+          vendorCheckbox.checked = !!vendorConsent[vendorCheckbox.getAttribute('data-vendor')];
+        });
+        this.updateCategorySwitchState(cookieType, section);
+      }
+    });
+
+    if (saveToStorage) {
+      this.handleConsentUpdate(method);
+    }
+  }
+
+  /**
+   * Record the stored choices, signal them to the integrations that depend on them and run the
+   * callbacks for whatever changed. Called whenever the choices change.
+   */
+  handleConsentUpdate(method) {
+    const record = this.saveConsentRecord(method);
+    this.updateConsentMode();
+    this.updateTcfData('useractioncomplete');
+    this.updateBlockedContent();
+    this.removeRejectedCookieData();
+
+    const { consent, vendors, diff } = this.applyConsentState(method);
+    this.updateInlinePreferences();
+
+    // Explicit decisions are always reported, saving the modal only when something changed
+    if (record && (diff.granted.length || diff.revoked.length || method !== 'custom')) {
+      this.emit('consentChanged', { consent, vendors, method, ...diff });
+    }
+
+    if (record && method !== 'reset') {
+      this.announce(
+        this.getText().preferences?.savedAnnouncement || 'Your cookie preferences have been saved.',
+      );
+    }
+
+    this.broadcastConsentChange();
+  }
+
+  setInitialCookieChoiceMade() {
+    this.storage.setItem(`silktideCookieBanner_InitialChoice${this.getBannerSuffix()}`, 1);
+  }
+
+  // ----------------------------------------------------------------
+  // Tab Sync
+  // ----------------------------------------------------------------
+  /**
+   * A choice made in another tab or window is announced on a BroadcastChannel, and shows up as a
+   * storage event when consent lives in localStorage. Either can arrive, or both, so applying a
+   * change compares against the last known consent and does nothing the second time.
+   * Set config.syncTabs to false to turn this off.
+   */
+  setupTabSync() {
+    if (this.config.syncTabs === false) return;
+
+    // The consent record is written after the choices, so its key marks a complete update
+    const recordKey = `silktideCookieConsent${this.getBannerSuffix()}`;
+    this.storageSyncHandler = (event) => {
+      if (event.key === recordKey || event.key === null) {
+        this.applyConsentFromOtherTab();
+      }
+    };
+    window.addEventListener('storage', this.storageSyncHandler);
+
+    if (typeof BroadcastChannel === 'function') {
+      this.syncChannel = new BroadcastChannel(`silktide-consent${this.getBannerSuffix()}`);
+      this.syncChannel.onmessage = () => this.applyConsentFromOtherTab();
+    }
+  }
+
+  teardownTabSync() {
+    if (this.storageSyncHandler) {
+      window.removeEventListener('storage', this.storageSyncHandler);
+      this.storageSyncHandler = null;
+    }
+    if (this.syncChannel) {
+      this.syncChannel.close();
+      this.syncChannel = null;
+    }
+  }
+
+  broadcastConsentChange() {
+    this.syncChannel?.postMessage({ type: 'consentChanged' });
+  }
+
+  /**
+   * Catch up with the stored consent: run the callbacks for what changed, refresh the modal and
+   * close or reopen the banner to match
+   */
+  applyConsentFromOtherTab() {
+    const method = this.getConsentRecord()?.method || 'reset';
+    const { consent, vendors, diff } = this.applyConsentState(method);
+
+    if (diff.granted.length || diff.revoked.length) {
+      this.updateConsentMode();
+      this.updateTcfData('useractioncomplete');
+      this.updateBlockedContent();
+
+      this.emit('consentChanged', { consent, vendors, method, ...diff, fromOtherTab: true });
+    }
+
+    if (this.modal) {
+      this.updateCheckboxState(false);
+    }
+    this.updateInlinePreferences();
+
+    if (!this.shouldShowBanner()) {
+      if (this.banner) {
+        this.removeBanner();
+        this.hideBackdrop();
+        this.showCookieIcon();
+      }
+    } else if (!this.banner && !this.isPreferencesOpen()) {
+      // Consent was reset in the other tab
+      this.hideCookieIcon();
+      this.createBanner();
+      this.setupBannerEventListeners();
+      this.showBackdrop();
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Consent Record
+  // ----------------------------------------------------------------
+  /**
+   * The structured record of the user's last decision:
+   * { consentId, version, method, choices, vendors, createdAt, updatedAt, privacySignal }
+   * where method is one of accept-all, reject-all, custom, closed, privacy-signal or reset
+   */
+  getConsentRecord() {
+    try {
+      return JSON.parse(this.storage.getItem(`silktideCookieConsent${this.getBannerSuffix()}`));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Returns the saved record, or null when there was no new decision to record
+   */
+  saveConsentRecord(method) {
+    const existingRecord = this.getConsentRecord();
+    const version = this.config.consentVersion ?? null;
+    const acceptedCookies = this.getAcceptedCookies();
+
+    // Only types with a stored value have been decided on
+    const choices = {};
+    Object.keys(acceptedCookies).forEach((cookieId) => {
+      if (this.storage.getItem(`silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`) !== null) {
+        choices[cookieId] = acceptedCookies[cookieId];
+      }
+    });
+
+    const vendors = this.getStoredVendorChoices();
+
+    // Saving the modal without changing anything isn't a new decision
+    if (
+      method === 'custom' &&
+      existingRecord?.version === version &&
+      JSON.stringify(existingRecord.choices) === JSON.stringify(choices) &&
+      JSON.stringify(existingRecord.vendors || {}) === JSON.stringify(vendors)
+    ) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      consentId: existingRecord?.consentId || this.generateConsentId(),
+      version,
+      method,
+      choices,
+      vendors,
+      createdAt: existingRecord?.createdAt || now,
+      updatedAt: now,
+      privacySignal: this.getStoredPrivacySignal(),
+    };
+
+    this.storage.setItem(`silktideCookieConsent${this.getBannerSuffix()}`, JSON.stringify(record));
+    this.logConsent(record);
+    return record;
+  }
+
+  /**
+   * An anonymous id that ties the log entries for one consent record together
+   */
+  generateConsentId() {
+    if (window.crypto?.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+      const random = (Math.random() * 16) | 0;
+      return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  /**
+   * Consent has to be given again when config.consentVersion changes or when it's older than
+   * config.consentMaxAgeDays. Choices stored before consent records existed have no version,
+   * so they are only kept while no consentVersion is configured. The record decides, not the
+   * InitialChoice flag: switches in preferences and embed placeholders store a record without it.
+   */
+  hasConsentRecordExpired() {
+    const record = this.getConsentRecord();
+    if (
+      !record &&
+      !this.storage.getItem(`silktideCookieBanner_InitialChoice${this.getBannerSuffix()}`)
+    ) {
+      return false;
+    }
+
+    const { consentVersion, consentMaxAgeDays } = this.config;
+
+    if (consentVersion !== undefined && record?.version !== consentVersion) {
+      return true;
+    }
+
+    if (consentMaxAgeDays && record) {
+      const age = Date.now() - Date.parse(record.updatedAt);
+      return !(age <= consentMaxAgeDays * 24 * 60 * 60 * 1000);
+    }
+
+    return false;
+  }
+
+  hasStoredCookieChoice(cookieId) {
+    const record = this.getConsentRecord();
+    if (record) {
+      return Object.prototype.hasOwnProperty.call(record.choices || {}, cookieId);
+    }
+    return this.storage.getItem(`silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`) !== null;
+  }
+
+  /**
+   * Optional cookie types the user hasn't made a choice about yet
+   */
+  getUnseenCookieTypes() {
+    return (this.config.cookieTypes || []).filter(
+      type => !type.required && !this.hasStoredCookieChoice(type.id),
+    );
+  }
+
+  clearStoredConsent() {
+    this.getStorageKeys().forEach(key => this.storage.removeItem(key));
+  }
+
+  // ----------------------------------------------------------------
+  // Consent Queries & Events
+  // ----------------------------------------------------------------
+  /**
+   * Whether each cookie type is currently allowed, e.g. { necessary: true, analytics: false }
+   */
+  getConsent() {
+    const acceptedCookies = this.getAcceptedCookies();
+    return (this.config.cookieTypes || []).reduce((acc, type) => {
+      acc[type.id] = !!type.required || acceptedCookies[type.id];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * hasConsent('analytics'), or hasConsent('marketing:meta') for one of a type's vendors
+   */
+  hasConsent(cookieId) {
+    const [typeId, vendorId] = String(cookieId).split(':');
+    if (vendorId) {
+      return !!this.getVendorConsent()[typeId]?.[vendorId];
+    }
+    return !!this.getConsent()[cookieId];
+  }
+
+  /**
+   * Dispatch a `silktide:<name>` CustomEvent on window (consentChanged, bannerShown,
+   * bannerClosed, preferencesOpened, preferencesClosed, languageChanged, auditReport)
+   */
+  emit(name, detail = {}) {
+    if (this.headless) return;
+
+    window.dispatchEvent(
+      new CustomEvent(`silktide:${name}`, {
+        detail: {
+          ...detail,
+          instance: this.getInstanceName(),
+          // The storage suffix in use, e.g. a named instance's name, without its underscore
+          bannerSuffix: this.getBannerSuffix().slice(1) || null,
+        },
+      }),
+    );
+  }
+
+  // ----------------------------------------------------------------
+  // Vendors
+  // ----------------------------------------------------------------
+  /**
+   * A cookie type can list the vendors behind it, each with its own switch in the modal:
+   * vendors: [{ id: 'meta', name: 'Meta', description, privacyPolicyUrl, cookies, storageKeys,
+   *   onAccept, onReject }]
+   * A vendor has consent while its cookie type does and it hasn't been switched off on its own.
+   */
+  getVendorStorageKey(type, vendor) {
+    return `silktideVendorChoice_${type.id}_${vendor.id}${this.getBannerSuffix()}`;
+  }
+
+  getVendorConsent(consent = this.getConsent()) {
+    return (this.config.cookieTypes || []).reduce((acc, type) => {
+      if (!type.vendors?.length) return acc;
+
+      acc[type.id] = type.vendors.reduce((vendors, vendor) => {
+        const storedChoice = this.storage.getItem(this.getVendorStorageKey(type, vendor));
+        vendors[vendor.id] = !!consent[type.id] && (!!type.required || storedChoice !== 'false');
+        return vendors;
+      }, {});
+      return acc;
+    }, {});
+  }
+
+  /**
+   * The vendor choices that have been stored, for the consent record
+   */
+  getStoredVendorChoices() {
+    return (this.config.cookieTypes || []).reduce((acc, type) => {
+      (type.vendors || []).forEach((vendor) => {
+        const storedChoice = this.storage.getItem(this.getVendorStorageKey(type, vendor));
+        if (storedChoice !== null) {
+          acc[type.id] = { ...acc[type.id], [vendor.id]: storedChoice === 'true' };
+        }
+      });
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Store a cookie type's choice and apply it to all of its vendors
+   */
+  storeCookieChoice(type, accepted) {
+    this.storage.setItem(`silktideCookieChoice_${type.id}${this.getBannerSuffix()}`, String(accepted));
+
+    (type.vendors || []).forEach((vendor) => {
+      this.storage.setItem(this.getVendorStorageKey(type, vendor), String(accepted));
+    });
+  }
+
+  /**
+   * Store individual vendor choices, e.g. { meta: false }. Vendors that aren't mentioned keep their
+   * current state, and the cookie type stays accepted while any of its vendors is.
+   */
+  storeVendorChoices(type, choices) {
+    const current = this.getVendorConsent()[type.id] || {};
+    const vendorChoices = (type.vendors || []).reduce((acc, vendor) => {
+      const hasChoice = Object.prototype.hasOwnProperty.call(choices, vendor.id);
+      acc[vendor.id] = !!type.required || (hasChoice ? !!choices[vendor.id] : !!current[vendor.id]);
+      return acc;
+    }, {});
+
+    Object.keys(vendorChoices).forEach((vendorId) => {
+      const vendor = type.vendors.find(item => item.id === vendorId);
+      this.storage.setItem(this.getVendorStorageKey(type, vendor), String(vendorChoices[vendorId]));
+    });
+
+    this.storage.setItem(
+      `silktideCookieChoice_${type.id}${this.getBannerSuffix()}`,
+      String(Object.values(vendorChoices).some(Boolean)),
+    );
+  }
+
+  // ----------------------------------------------------------------
+  // Consent Callbacks
+  // ----------------------------------------------------------------
+  /**
+   * consentSnapshot and vendorConsentSnapshot hold the consent the callbacks have run for on this
+   * page. Nothing has been granted before there's a decision, so the first one grants the required
+   * types too. Every change is worked out against the snapshot, so each transition runs once:
+   * onAccept for what was newly granted, onReject for what was newly revoked, and then
+   * config.onConsentChange({ granted, revoked }, state). Ids are cookie type ids, or type:vendor.
+   */
+  restoreConsent() {
+    this.consentSnapshot = {};
+    this.vendorConsentSnapshot = {};
+
+    // A stored decision counts even when cookie types have been added since, and presumed consent
+    // (opt-out jurisdictions) applies on a first visit
+    const hasDecision = this.hasSetInitialCookieChoices();
+    if (!hasDecision && !this.isConsentPresumed()) return;
+
+    // The state on load is the starting point rather than a change, so each accepted type and
+    // vendor gets onLoad instead, falling back to onAccept
+    const consent = this.getConsent();
+    const vendors = this.getVendorConsent(consent);
+    this.consentSnapshot = consent;
+    this.vendorConsentSnapshot = vendors;
+
+    this.getConsentDiff({}, {}, consent, vendors).granted.forEach((cookieId) => {
+      const target = this.getConsentTarget(cookieId);
+      if (typeof target?.onLoad === 'function') {
+        target.onLoad();
+      } else if (typeof target?.onAccept === 'function') {
+        target.onAccept();
+      }
+    });
+
+    // Only an earlier decision is restored, presumed consent isn't one
+    if (hasDecision && typeof this.config.onConsentRestored === 'function') {
+      this.config.onConsentRestored({ consent, vendors });
+    }
+  }
+
+  /**
+   * Move the snapshot to the stored consent and run the callbacks for the difference
+   */
+  applyConsentState(method) {
+    const consent = this.getConsent();
+    const vendors = this.getVendorConsent(consent);
+    const diff = this.getConsentDiff(
+      this.consentSnapshot || {},
+      this.vendorConsentSnapshot || {},
+      consent,
+      vendors,
+    );
+    this.consentSnapshot = consent;
+    this.vendorConsentSnapshot = vendors;
+
+    diff.granted.forEach((cookieId) => {
+      const target = this.getConsentTarget(cookieId);
+      if (typeof target?.onAccept === 'function') { target.onAccept(); }
+    });
+    diff.revoked.forEach((cookieId) => {
+      const target = this.getConsentTarget(cookieId);
+      if (typeof target?.onReject === 'function') { target.onReject(); }
+    });
+
+    const changed = diff.granted.length > 0 || diff.revoked.length > 0;
+    if (changed && typeof this.config.onConsentChange === 'function') {
+      this.config.onConsentChange(diff, { consent, vendors, method });
+    }
+
+    return { consent, vendors, diff };
+  }
+
+  getConsentDiff(previousConsent, previousVendors, consent, vendors) {
+    const diff = { granted: [], revoked: [] };
+    const compare = (cookieId, wasAccepted, isAccepted) => {
+      if (wasAccepted === isAccepted) return;
+      (isAccepted ? diff.granted : diff.revoked).push(cookieId);
+    };
+
+    (this.config.cookieTypes || []).forEach((type) => {
+      compare(type.id, !!previousConsent[type.id], !!consent[type.id]);
+      (type.vendors || []).forEach((vendor) => {
+        compare(
+          `${type.id}:${vendor.id}`,
+          !!previousVendors[type.id]?.[vendor.id],
+          !!vendors[type.id]?.[vendor.id],
+        );
+      });
+    });
+    return diff;
+  }
+
+  /**
+   * The cookie type, or the vendor for a type:vendor id
+   */
+  getConsentTarget(cookieId) {
+    const [typeId, vendorId] = cookieId.split(':');
+    const type = (this.config.cookieTypes || []).find(item => item.id === typeId);
+    return vendorId ? type?.vendors?.find(vendor => vendor.id === vendorId) : type;
+  }
+
+  // ----------------------------------------------------------------
+  // Consent Logging
+  // ----------------------------------------------------------------
+  /**
+   * config.consentLogger can be an endpoint URL, a callback, or { endpoint } / { callback }
+   */
+  getConsentLogger() {
+    const logger = this.config.consentLogger;
+    if (typeof logger === 'string') return { endpoint: logger };
+    if (typeof logger === 'function') return { callback: logger };
+    if (logger?.endpoint || typeof logger?.callback === 'function') return logger;
+    return null;
+  }
+
+  getConsentLogPayload(record) {
+    return {
+      consentId: record.consentId,
+      choices: record.choices,
+      vendors: record.vendors || {},
+      method: record.method,
+      bannerSuffix: this.getBannerSuffix().slice(1) || null,
+      version: record.version,
+      privacySignal: record.privacySignal,
+      url: window.location.href,
+      timestamp: record.updatedAt,
+    };
+  }
+
+  logConsent(record) {
+    if (!this.getConsentLogger()) return;
+
+    const payload = this.getConsentLogPayload(record);
+    this.deliverConsentLog(payload).catch(() => this.queueConsentLog(payload));
+  }
+
+  /**
+   * Send one log entry. Endpoints get the payload through sendBeacon so it survives the page
+   * unloading, with a keepalive fetch when the beacon can't be queued.
+   */
+  deliverConsentLog(payload) {
+    const logger = this.getConsentLogger();
+
+    if (logger.callback) {
+      return Promise.resolve().then(() => logger.callback(payload));
+    }
+
+    const body = JSON.stringify(payload);
+    if (typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(logger.endpoint, body)) {
+      return Promise.resolve();
+    }
+
+    return fetch(logger.endpoint, {
+      method: 'POST',
+      body,
+      keepalive: true,
+      headers: { 'Content-Type': 'application/json' },
+    }).then((response) => {
+      if (!response.ok) {
+        throw new Error(`Unexpected response ${response.status} from ${logger.endpoint}`);
+      }
+    });
+  }
+
+  getConsentLogQueue() {
+    try {
+      return JSON.parse(this.deviceStorage.getItem(`silktideConsentLogQueue${this.getBannerSuffix()}`)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  queueConsentLog(payload) {
+    // Keep the most recent entries so the queue can't grow without limit
+    const queue = [...this.getConsentLogQueue(), payload].slice(-50);
+    this.deviceStorage.setItem(`silktideConsentLogQueue${this.getBannerSuffix()}`, JSON.stringify(queue));
+  }
+
+  flushConsentLogQueue() {
+    if (!this.getConsentLogger()) return;
+
+    const queue = this.getConsentLogQueue();
+    if (!queue.length) return;
+
+    this.deviceStorage.removeItem(`silktideConsentLogQueue${this.getBannerSuffix()}`);
+    queue.forEach((payload) => {
+      this.deliverConsentLog(payload).catch(() => this.queueConsentLog(payload));
+    });
+  }
+
+  // ----------------------------------------------------------------
+  // Consent Handling
+  // ----------------------------------------------------------------
+  handleCookieChoice(accepted) {
+    // We set that an initial choice was made regardless of what it was so we don't show the banner again
+    this.setInitialCookieChoiceMade();
+
+    this.removeBanner();
+    this.hideBackdrop();
+    this.toggleModal(false, false); // the choice below replaces whatever the checkboxes were set to
+    this.showCookieIcon();
+
+    const privacySignalTypes = accepted ? this.getPrivacySignalCookieTypes() : [];
+
+    this.config.cookieTypes.forEach((type) => {
+      // Accept all leaves the privacy signal's rejections alone, only the type's own switch in
+      // preferences can turn it back on
+      if (privacySignalTypes.includes(type)) {
+        this.keepPrivacySignalRejection(type);
+        return;
+      }
+
+      // Save to storage
+      this.storeCookieChoice(type, type.required == true ? true : accepted);
+    });
+
+    this.handleConsentUpdate(accepted ? 'accept-all' : 'reject-all');
+
+    // Trigger optional onAcceptAll/onRejectAll callbacks
+    if (accepted && typeof this.config.onAcceptAll === 'function') {
+      if (typeof this.config.onAcceptAll === 'function') { this.config.onAcceptAll(); }
+    } else if (typeof this.config.onRejectAll === 'function') {
+      if (typeof this.config.onRejectAll === 'function') { this.config.onRejectAll(); }
+    }
+
+    // finally update the checkboxes in the modal with the values from storage
+    this.updateCheckboxState();
+  }
+
+  getAcceptedCookies() {
+    const consentPresumed = this.isConsentPresumed();
+    return (this.config.cookieTypes || []).reduce((acc, cookieType) => {
+      const storedChoice =
+        this.storage.getItem(`silktideCookieChoice_${cookieType.id}${this.getBannerSuffix()}`);
+      acc[cookieType.id] =
+        storedChoice === null && consentPresumed
+          ? this.getDefaultCookieChoice(cookieType)
+          : storedChoice === 'true';
+      return acc;
+    }, {});
+  }
+
+  // ----------------------------------------------------------------
+  // Cookie Cleanup
+  // ----------------------------------------------------------------
+  /**
+   * Each cookie type can declare the data it owns so it's removed when the type is rejected:
+   * cookies: ['_gid', /^_ga/, { name: '_fbp', domain: '.example.com', path: '/' }]
+   * storageKeys: ['amplitude_id', /^_hj/] (localStorage and sessionStorage)
+   */
+  removeRejectedCookieData() {
+    const acceptedCookies = this.getAcceptedCookies();
+    const vendorConsent = this.getVendorConsent();
+    (this.config.cookieTypes || []).forEach((type) => {
+      if (!type.required && !acceptedCookies[type.id]) {
+        this.removeCookieTypeData(type);
+      }
+
+      // Vendors declare cookies and storageKeys the same way
+      (type.vendors || []).forEach((vendor) => {
+        if (!type.required && !vendorConsent[type.id]?.[vendor.id]) {
+          this.removeCookieTypeData(vendor);
+        }
+      });
+    });
+  }
+
+  removeCookieTypeData(type) {
+    if (Array.isArray(type.cookies) && type.cookies.length) {
+      const cookieNames = this.getDocumentCookieNames();
+
+      type.cookies.forEach((cookie) => {
+        const { name, domain, path } = this.getCookieEntry(cookie);
+
+        cookieNames
+          .filter(cookieName => this.matchesName(name, cookieName))
+          .filter(cookieName => !this.isKeptForOtherInstance(cookieName, 'cookie'))
+          .forEach(cookieName => this.deleteCookie(cookieName, { domain, path }));
+      });
+    }
+
+    if (Array.isArray(type.storageKeys) && type.storageKeys.length) {
+      ['localStorage', 'sessionStorage'].forEach((storageName) => {
+        try {
+          const storage = window[storageName];
+          Object.keys(storage)
+            .filter(key => type.storageKeys.some(pattern => this.matchesName(pattern, key)))
+            .filter(key => !this.isKeptForOtherInstance(key, storageName))
+            .forEach(key => storage.removeItem(key));
+        } catch (e) {
+          // Storage isn't available, so there's nothing to remove
+        }
+      });
+    }
+  }
+
+  /**
+   * Data another banner on the page has consent for stays, even when this one rejects it
+   */
+  isKeptForOtherInstance(name, storage) {
+    return this.getOtherDeclarations(name, storage).some(declaration => declaration.hasConsent);
+  }
+
+  isRegExp(pattern) {
+    return Object.prototype.toString.call(pattern) === '[object RegExp]';
+  }
+
+  matchesName(pattern, name) {
+    return this.isRegExp(pattern) ? pattern.test(name) : pattern === name;
+  }
+
+  /**
+   * A declared cookie is a name, a pattern, or { name, domain, path, ... }
+   */
+  getCookieEntry(cookie) {
+    return typeof cookie === 'string' || this.isRegExp(cookie) ? { name: cookie } : cookie;
+  }
+
+  getDocumentCookieNames() {
+    return document.cookie
+      .split(';')
+      .map(cookie => cookie.split('=')[0].trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Cookies can only be deleted with the domain and path they were set with, so when those
+   * aren't declared we try the current host, each parent domain and the common paths
+   */
+  deleteCookie(name, { domain, path } = {}) {
+    const hostParts = window.location.hostname.split('.');
+    const domains = domain
+      ? [domain]
+      : [null, ...hostParts.slice(0, -1).map((_, index) => `.${hostParts.slice(index).join('.')}`)];
+    const paths = path ? [path] : [...new Set(['/', window.location.pathname])];
+
+    domains.forEach((cookieDomain) => {
+      paths.forEach((cookiePath) => {
+        document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=${cookiePath}${
+          cookieDomain ? `; domain=${cookieDomain}` : ''
+        }`;
+      });
+    });
+  }
+
+  // ----------------------------------------------------------------
+  // Audit
+  // ----------------------------------------------------------------
+  /**
+   * An audit for staging: config.audit = true or { interval, console, overlay } scans cookies,
+   * localStorage and sessionStorage every interval ms (5000 by default). Each entry is matched
+   * against the cookies and storageKeys declared by the cookie types and their vendors, then the
+   * catalogue of well-known trackers, and flagged as
+   * - unclassified: nothing in the config declares it
+   * - pre-consent: it was seen while its cookie type or vendor didn't have consent
+   * New findings are logged to the console, and overlay: true lists them on the page.
+   */
+  getAuditConfig() {
+    const audit = this.config.audit;
+    if (!audit) return null;
+    return { interval: 5000, console: true, overlay: false, ...(audit === true ? {} : audit) };
+  }
+
+  setupAudit() {
+    const auditConfig = this.getAuditConfig();
+    if (!auditConfig) return;
+
+    this.runAudit();
+    if (auditConfig.interval > 0) {
+      this.auditTimer = setInterval(() => this.runAudit(), auditConfig.interval);
+    }
+  }
+
+  teardownAudit() {
+    if (this.auditTimer) {
+      clearInterval(this.auditTimer);
+      this.auditTimer = null;
+    }
+    this.auditOverlay = null;
+  }
+
+  /**
+   * Scan now and return the report:
+   * { timestamp, entries, unclassified, preConsent }, where each entry is
+   * { name, storage, cookieType, vendor, tracker, status, firstSeen }
+   */
+  runAudit() {
+    // Findings are kept between scans, so data set before consent stays flagged once it's given
+    this.auditFindings = this.auditFindings || new Map();
+
+    const consent = this.getConsent();
+    const vendorConsent = this.getVendorConsent(consent);
+    const timestamp = new Date().toISOString();
+    const newlyFlagged = [];
+
+    const entries = this.getAuditedNames().map(({ name, storage }) => {
+      const key = `${storage}:${name}`;
+      const declaration = this.findDeclaration(name, storage);
+      const hasConsent = declaration
+        ? declaration.vendor
+          ? !!vendorConsent[declaration.cookieType]?.[declaration.vendor]
+          : !!consent[declaration.cookieType]
+        : null;
+      const previous = this.auditFindings.get(key);
+      const status = !declaration
+        ? 'unclassified'
+        : previous?.status === 'pre-consent' || !hasConsent
+          ? 'pre-consent'
+          : 'declared';
+
+      const entry = {
+        name,
+        storage,
+        cookieType: declaration?.cookieType || null,
+        vendor: declaration?.vendor || null,
+        tracker: this.findKnownTracker(name),
+        status,
+        firstSeen: previous?.firstSeen || timestamp,
+      };
+
+      if (status !== 'declared' && previous?.status !== status) {
+        newlyFlagged.push(entry);
+      }
+      this.auditFindings.set(key, entry);
+      return entry;
+    });
+
+    const report = {
+      timestamp,
+      entries,
+      unclassified: entries.filter(entry => entry.status === 'unclassified'),
+      preConsent: entries.filter(entry => entry.status === 'pre-consent'),
+    };
+
+    const auditConfig = this.getAuditConfig();
+    if (newlyFlagged.length && auditConfig?.console) {
+      console.warn('Silktide Consent Manager: cookie audit found', newlyFlagged);
+    }
+    if (auditConfig?.overlay) {
+      this.renderAuditOverlay(report);
+    }
+
+    this.emit('auditReport', { report });
+    return report;
+  }
+
+  /**
+   * Everything currently stored on the page, apart from our own keys and other instances' data
+   */
+  getAuditedNames() {
+    const names = this.getDocumentCookieNames().map(name => ({ name, storage: 'cookie' }));
+
+    ['localStorage', 'sessionStorage'].forEach((storageName) => {
+      try {
+        Object.keys(window[storageName]).forEach((name) => {
+          names.push({ name, storage: storageName });
+        });
+      } catch (e) {
+        // Storage isn't available, so there's nothing to audit
+      }
+    });
+
+    // Data only another banner on the page declares is that banner's to audit
+    return names.filter(
+      ({ name, storage }) =>
+        !name.startsWith('silktide') &&
+        (this.findDeclaration(name, storage) || !this.getOtherDeclarations(name, storage).length),
+    );
+  }
+
+  /**
+   * The cookie type, and the vendor when it's a vendor's, that declares a cookie or storage key
+   */
+  findDeclaration(name, storage) {
+    const declares = (owner) => {
+      const patterns = storage === 'cookie'
+        ? (owner.cookies || []).map(cookie => this.getCookieEntry(cookie).name)
+        : owner.storageKeys || [];
+      return patterns.some(pattern => this.matchesName(pattern, name));
+    };
+
+    for (const type of this.config.cookieTypes || []) {
+      const vendor = (type.vendors || []).find(declares);
+      if (vendor) return { cookieType: type.id, vendor: vendor.id };
+      if (declares(type)) return { cookieType: type.id, vendor: null };
+    }
+    return null;
+  }
+
+  findKnownTracker(name) {
+    const tracker = SilktideCookieBanner.KNOWN_TRACKERS.find(({ pattern }) => pattern.test(name));
+    return tracker ? { provider: tracker.provider, category: tracker.category } : null;
+  }
+
+  renderAuditOverlay(report) {
+    if (!this.wrapper) return;
+
+    const flagged = [...report.preConsent, ...report.unclassified];
+    const overlay = this.createElement(
+      'details',
+      { class: 'silktide-audit-overlay', open: flagged.length > 0 },
+      [
+        this.createElement('summary', {}, [
+          `Cookie audit: ${report.preConsent.length} before consent, ` +
+            `${report.unclassified.length} unclassified`,
+        ]),
+        flagged.length > 0 &&
+          this.createElement('table', { class: 'cookie-table' }, [
+            this.createElement('thead', {}, [
+              this.createElement('tr', {}, [
+                this.createElement('th', { scope: 'col' }, ['Name']),
+                this.createElement('th', { scope: 'col' }, ['Storage']),
+                this.createElement('th', { scope: 'col' }, ['Status']),
+                this.createElement('th', { scope: 'col' }, ['Belongs to']),
+              ]),
+            ]),
+            this.createElement(
+              'tbody',
+              {},
+              flagged.map(entry =>
+                this.createElement('tr', {}, [
+                  this.createElement('td', {}, [entry.name]),
+                  this.createElement('td', {}, [entry.storage]),
+                  this.createElement('td', {}, [entry.status]),
+                  this.createElement('td', {}, [
+                    [entry.cookieType, entry.vendor].filter(Boolean).join(':') ||
+                      (entry.tracker ? `${entry.tracker.provider} (${entry.tracker.category})` : ''),
+                  ]),
+                ]),
+              ),
+            ),
+          ]),
+      ],
+    );
+
+    if (this.auditOverlay?.parentNode) {
+      this.auditOverlay.parentNode.replaceChild(overlay, this.auditOverlay);
+    } else {
+      this.wrapper.appendChild(overlay);
+    }
+    this.auditOverlay = overlay;
+  }
+
+  // ----------------------------------------------------------------
+  // Google Consent Mode
+  // ----------------------------------------------------------------
+  isConsentModeEnabled() {
+    return !!this.config.consentMode?.mapping;
+  }
+
+  getDataLayer() {
+    const dataLayerName = this.config.consentMode?.dataLayerName || 'dataLayer';
+    window[dataLayerName] = window[dataLayerName] || [];
+    return window[dataLayerName];
+  }
+
+  gtag() {
+    // Use the site's gtag when it exists, otherwise queue the command the same way gtag.js does
+    if (typeof window.gtag === 'function') {
+      window.gtag(...arguments);
+    } else {
+      this.getDataLayer().push(arguments);
+    }
+  }
+
+  /**
+   * Build the Consent Mode state from the cookie type mapping, e.g.
+   * { analytics: 'analytics_storage', advertising: ['ad_storage', 'ad_user_data', 'ad_personalization'] }
+   * A signal shared by several cookie types is granted if any of them is accepted.
+   */
+  getConsentModeState(acceptedCookies = this.getAcceptedCookies()) {
+    const mapping = this.config.consentMode?.mapping || {};
+    const state = {};
+
+    Object.keys(mapping).forEach((cookieId) => {
+      const cookieType = (this.config.cookieTypes || []).find(type => type.id === cookieId);
+      const granted = !!cookieType?.required || !!acceptedCookies[cookieId];
+
+      [].concat(mapping[cookieId]).forEach((signal) => {
+        state[signal] = state[signal] === 'granted' || granted ? 'granted' : 'denied';
+      });
+    });
+
+    return state;
+  }
+
+  setConsentModeDefault() {
+    if (!this.isConsentModeEnabled()) return;
+
+    const { waitForUpdate, region, adsDataRedaction, urlPassthrough, dataLayerEvents } =
+      this.config.consentMode;
+
+    // Everything that isn't required starts as denied, unless consent is presumed in this jurisdiction
+    const defaultState = this.getConsentModeState(
+      this.isConsentPresumed() ? this.getAcceptedCookies() : {},
+    );
+    if (waitForUpdate) {
+      defaultState.wait_for_update = waitForUpdate;
+    }
+    if (region) {
+      defaultState.region = [].concat(region);
+    }
+
+    this.gtag('consent', 'default', defaultState);
+
+    if (typeof adsDataRedaction === 'boolean') {
+      this.gtag('set', 'ads_data_redaction', adsDataRedaction);
+    }
+    if (typeof urlPassthrough === 'boolean') {
+      this.gtag('set', 'url_passthrough', urlPassthrough);
+    }
+
+    if (dataLayerEvents) {
+      this.getDataLayer().push({ event: 'silktide_consent_default', silktideConsent: defaultState });
+    }
+  }
+
+  updateConsentMode() {
+    if (!this.isConsentModeEnabled()) return;
+
+    const state = this.getConsentModeState();
+    this.gtag('consent', 'update', state);
+
+    if (this.config.consentMode.dataLayerEvents) {
+      this.getDataLayer().push({
+        event: 'silktide_consent_update',
+        silktideConsent: state,
+        silktideCookieChoices: this.getAcceptedCookies(),
+      });
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // IAB TCF v2.2
+  // ----------------------------------------------------------------
+  isTcfEnabled() {
+    return !!this.config.tcf?.enabled;
+  }
+
+  setupTcfApi() {
+    if (!this.isTcfEnabled()) return;
+
+    this.tcfListeners = [];
+    this.tcfNextListenerId = 1;
+    this.tcfEventStatus = 'cmpuishown';
+    this.tcfCmpStatus = 'loading';
+    this.tcfVendorList = null;
+
+    // Commands queued by the IAB stub before we loaded are replayed once the API is ready
+    const queuedCommands = typeof window.__tcfapi === 'function' ? window.__tcfapi() : [];
+
+    window.__tcfapi = (command, version, callback, parameter) =>
+      this.handleTcfCommand(command, version, callback, parameter);
+
+    this.tcfReady = this.loadTcfVendorList()
+      .then((vendorList) => {
+        this.tcfVendorList = vendorList;
+        this.tcfCmpStatus = 'loaded';
+      })
+      .catch((error) => {
+        this.tcfCmpStatus = 'error';
+        console.warn('Silktide Consent Manager: could not load the TCF vendor list', error);
+      });
+
+    (Array.isArray(queuedCommands) ? queuedCommands : []).forEach((args) => {
+      window.__tcfapi(...args);
+    });
+
+    this.createTcfLocatorFrame();
+  }
+
+  loadTcfVendorList() {
+    const { vendorList, vendorListUrl = 'silktide-vendor-list.json' } = this.config.tcf;
+
+    if (vendorList) {
+      return Promise.resolve(vendorList);
+    }
+
+    return fetch(vendorListUrl).then((response) => {
+      if (!response.ok) {
+        throw new Error(`Unexpected response ${response.status} for ${vendorListUrl}`);
+      }
+      return response.json();
+    });
+  }
+
+  /**
+   * Frames on the page find the CMP through a frame named __tcfapiLocator and talk to it
+   * with postMessage
+   */
+  createTcfLocatorFrame() {
+    if (!window.frames['__tcfapiLocator']) {
+      const locator = document.createElement('iframe');
+      locator.name = '__tcfapiLocator';
+      locator.style.display = 'none';
+      locator.setAttribute('aria-hidden', 'true');
+      locator.tabIndex = -1;
+      document.body.appendChild(locator);
+    }
+
+    if (this.tcfMessageHandler) return;
+
+    this.tcfMessageHandler = (event) => {
+      let data = event.data;
+      if (typeof data === 'string') {
+        try {
+          data = JSON.parse(data);
+        } catch (e) {
+          return;
+        }
+      }
+
+      const call = data?.__tcfapiCall;
+      if (!call || !event.source) return;
+
+      window.__tcfapi(call.command, call.version, (returnValue, success) => {
+        const response = { __tcfapiReturn: { returnValue, success, callId: call.callId } };
+        event.source.postMessage(typeof event.data === 'string' ? JSON.stringify(response) : response, '*');
+      }, call.parameter);
+    };
+
+    window.addEventListener('message', this.tcfMessageHandler);
+  }
+
+  handleTcfCommand(command, version, callback, parameter) {
+    if (typeof callback !== 'function') return;
+
+    if (version !== undefined && version !== 2) {
+      callback(null, false);
+      return;
+    }
+
+    switch (command) {
+      case 'ping':
+        callback(this.getTcfPingReturn(), true);
+        break;
+
+      case 'getTCData':
+        this.tcfReady.then(() => {
+          const tcData = this.getTcData();
+          if (!tcData) {
+            callback(null, false);
+            return;
+          }
+
+          // Limit the vendor section to the requested vendor ids
+          if (Array.isArray(parameter)) {
+            const consents = {};
+            parameter.forEach((vendorId) => {
+              consents[vendorId] = !!tcData.vendor.consents[vendorId];
+            });
+            tcData.vendor.consents = consents;
+          }
+          callback(tcData, true);
+        });
+        break;
+
+      case 'addEventListener': {
+        const listener = { id: this.tcfNextListenerId++, callback };
+        this.tcfListeners.push(listener);
+        this.tcfReady.then(() => this.notifyTcfListener(listener));
+        break;
+      }
+
+      case 'removeEventListener': {
+        const index = this.tcfListeners.findIndex(listener => listener.id === parameter);
+        if (index !== -1) {
+          this.tcfListeners.splice(index, 1);
+        }
+        callback(index !== -1);
+        break;
+      }
+
+      default:
+        callback(null, false);
+    }
+  }
+
+  /**
+   * Unless configured, GDPR applies wherever the jurisdiction is opt-in
+   */
+  getTcfGdprApplies() {
+    const { gdprApplies } = this.config.tcf;
+    return typeof gdprApplies === 'boolean' ? gdprApplies : this.getJurisdictionMode() === 'opt-in';
+  }
+
+  getTcfPingReturn() {
+    const { cmpId = 0, cmpVersion = 1 } = this.config.tcf;
+    const gdprApplies = this.getTcfGdprApplies();
+    const modalOpen = this.modal && this.modal.style.display === 'flex';
+
+    return {
+      gdprApplies,
+      cmpLoaded: this.tcfCmpStatus === 'loaded',
+      cmpStatus: this.tcfCmpStatus,
+      displayStatus: this.config.showBanner === false
+        ? 'disabled'
+        : this.banner || modalOpen ? 'visible' : 'hidden',
+      apiVersion: '2.2',
+      cmpVersion,
+      cmpId,
+      gvlVersion: this.tcfVendorList?.vendorListVersion,
+      tcfPolicyVersion: this.tcfVendorList?.tcfPolicyVersion,
+    };
+  }
+
+  /**
+   * Resolve the TCF ids that have consent from a mapping of cookie type id -> ids,
+   * e.g. { advertising: [1, 2, 3, 4, 7], analytics: [1, 8, 9, 10] }
+   */
+  getTcfConsentedIds(mapping = {}, acceptedCookies = this.getAcceptedCookies()) {
+    const ids = [];
+    Object.keys(mapping).forEach((cookieId) => {
+      if (!acceptedCookies[cookieId]) return;
+      [].concat(mapping[cookieId]).forEach((id) => {
+        if (!ids.includes(id)) ids.push(id);
+      });
+    });
+    return ids.sort((a, b) => a - b);
+  }
+
+  getTcfVendorIds() {
+    const vendorIds = Object.keys(this.tcfVendorList?.vendors || {}).map(Number);
+    const { vendors } = this.config.tcf;
+    return (Array.isArray(vendors) ? vendorIds.filter(id => vendors.includes(id)) : vendorIds)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Work out the purpose, special feature and vendor consents from the stored cookie choices.
+   * A vendor has consent when every purpose it declares on a consent basis has been consented to.
+   */
+  getTcfChoices() {
+    const acceptedCookies = this.getAcceptedCookies();
+    const purposes = this.getTcfConsentedIds(this.config.tcf.purposes, acceptedCookies);
+    const specialFeatures = this.getTcfConsentedIds(this.config.tcf.specialFeatures, acceptedCookies);
+    const disclosedVendors = this.getTcfVendorIds();
+
+    const vendors = disclosedVendors.filter((vendorId) => {
+      const vendor = this.tcfVendorList.vendors[vendorId];
+      const vendorPurposes = vendor.purposes || [];
+      const vendorSpecialFeatures = vendor.specialFeatures || [];
+
+      return (
+        vendorPurposes.length > 0 &&
+        vendorPurposes.every(id => purposes.includes(id)) &&
+        vendorSpecialFeatures.every(id => specialFeatures.includes(id))
+      );
+    });
+
+    return { purposes, specialFeatures, vendors, disclosedVendors };
+  }
+
+  getTcfConsentLanguage() {
+    const language = this.config.tcf.consentLanguage || document.documentElement.lang || 'EN';
+    return language.slice(0, 2).toUpperCase();
+  }
+
+  /**
+   * Encode a TC string (core segment plus disclosed vendors segment) as described in the
+   * IAB "Transparency and Consent String" v2 specification
+   */
+  encodeTcString({ purposes, specialFeatures, vendors, disclosedVendors }) {
+    const { cmpId = 0, cmpVersion = 1, publisherCC = 'AA' } = this.config.tcf;
+
+    const int = (value, length) => value.toString(2).padStart(length, '0').slice(-length);
+    const bool = value => (value ? '1' : '0');
+    const bitField = (ids, length) =>
+      Array.from({ length }, (_, index) => bool(ids.includes(index + 1))).join('');
+    const letters = value =>
+      int(value.charCodeAt(0) - 65, 6) + int(value.charCodeAt(1) - 65, 6);
+    const vendorField = (ids) => {
+      const maxVendorId = ids.length ? ids[ids.length - 1] : 0;
+      return int(maxVendorId, 16) + bool(false) + bitField(ids, maxVendorId);
+    };
+    const toBase64Url = (bits) => {
+      const padded = bits.padEnd(Math.ceil(bits.length / 8) * 8, '0');
+      let binary = '';
+      for (let i = 0; i < padded.length; i += 8) {
+        binary += String.fromCharCode(parseInt(padded.slice(i, i + 8), 2));
+      }
+      return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    // Timestamps are rounded to the day to avoid creating a fingerprinting vector
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const deciseconds = Math.round(today.getTime() / 100);
+
+    const core = [
+      int(2, 6), // Version
+      int(deciseconds, 36), // Created
+      int(deciseconds, 36), // LastUpdated
+      int(cmpId, 12),
+      int(cmpVersion, 12),
+      int(1, 6), // ConsentScreen
+      letters(this.getTcfConsentLanguage()),
+      int(this.tcfVendorList.vendorListVersion, 12),
+      int(this.tcfVendorList.tcfPolicyVersion, 6),
+      bool(true), // IsServiceSpecific
+      bool(false), // UseNonStandardTexts
+      bitField(specialFeatures, 12),
+      bitField(purposes, 24),
+      bitField([], 24), // PurposesLITransparency
+      bool(false), // PurposeOneTreatment
+      letters(publisherCC.toUpperCase()),
+      vendorField(vendors),
+      vendorField([]), // Vendor legitimate interests
+      int(0, 12), // NumPubRestrictions
+    ].join('');
+
+    const disclosedVendorsSegment = int(1, 3) + vendorField(disclosedVendors);
+
+    return `${toBase64Url(core)}.${toBase64Url(disclosedVendorsSegment)}`;
+  }
+
+  getTcData(listenerId) {
+    if (this.tcfCmpStatus !== 'loaded') return null;
+
+    const { cmpId = 0, cmpVersion = 1, publisherCC = 'AA' } = this.config.tcf;
+    const gdprApplies = this.getTcfGdprApplies();
+    const choices = this.getTcfChoices();
+    const toMap = (ids, allIds) =>
+      allIds.reduce((acc, id) => {
+        acc[id] = ids.includes(id);
+        return acc;
+      }, {});
+    const purposeIds = Object.keys(this.tcfVendorList.purposes || {}).map(Number);
+    const specialFeatureIds = Object.keys(this.tcfVendorList.specialFeatures || {}).map(Number);
+
+    return {
+      tcString:
+        this.storage.getItem(`silktideCookieTCString${this.getBannerSuffix()}`) ||
+        this.encodeTcString(choices),
+      tcfPolicyVersion: this.tcfVendorList.tcfPolicyVersion,
+      cmpId,
+      cmpVersion,
+      gdprApplies,
+      eventStatus: this.tcfEventStatus,
+      cmpStatus: this.tcfCmpStatus,
+      listenerId,
+      isServiceSpecific: true,
+      useNonStandardTexts: false,
+      publisherCC,
+      purposeOneTreatment: false,
+      purpose: {
+        consents: toMap(choices.purposes, purposeIds),
+        legitimateInterests: {},
+      },
+      vendor: {
+        consents: toMap(choices.vendors, choices.disclosedVendors),
+        legitimateInterests: {},
+      },
+      specialFeatureOptins: toMap(choices.specialFeatures, specialFeatureIds),
+      publisher: {
+        consents: {},
+        legitimateInterests: {},
+        customPurpose: { consents: {}, legitimateInterests: {} },
+        restrictions: {},
+      },
+    };
+  }
+
+  notifyTcfListener(listener) {
+    const tcData = this.getTcData(listener.id);
+    listener.callback(tcData, !!tcData);
+  }
+
+  /**
+   * Move the API to a new event status and tell every registered listener. A user action
+   * re-encodes and stores the TC string from the current choices.
+   */
+  updateTcfData(eventStatus) {
+    if (!this.isTcfEnabled()) return;
+
+    this.tcfReady.then(() => {
+      if (this.tcfCmpStatus !== 'loaded') return;
+
+      this.tcfEventStatus = eventStatus;
+
+      if (eventStatus === 'useractioncomplete') {
+        this.storage.setItem(
+          `silktideCookieTCString${this.getBannerSuffix()}`,
+          this.encodeTcString(this.getTcfChoices()),
+        );
+      }
+
+      this.tcfListeners.forEach(listener => this.notifyTcfListener(listener));
+    });
+  }
+
+  // ----------------------------------------------------------------
+  // Jurisdictions
+  // ----------------------------------------------------------------
+  /**
+   * The visitor's region, e.g. 'DE' or 'US-CA', from config.region or a function returning it
+   */
+  getRegion() {
+    const region =
+      typeof this.config.region === 'function' ? this.config.region() : this.config.region;
+    return region ? String(region).toUpperCase() : null;
+  }
+
+  /**
+   * Find the jurisdiction profile for the visitor's region. Profiles are keyed by region, e.g.
+   * { EU: 'opt-in', 'US-CA': { mode: 'opt-out' }, default: 'notice-only' }
+   * 'US-CA' falls back to 'US', EEA countries fall back to 'EU', and anything else to 'default'.
+   */
+  getJurisdictionProfile() {
+    if (this.jurisdictionProfile === undefined) {
+      this.jurisdictionProfile = this.resolveJurisdictionProfile();
+    }
+    return this.jurisdictionProfile;
+  }
+
+  resolveJurisdictionProfile() {
+    const profiles = this.config.jurisdictions;
+    if (!profiles) return null;
+
+    const region = this.getRegion();
+    const country = region?.split('-')[0];
+    const candidates = [
+      region,
+      country,
+      SilktideCookieBanner.EEA_COUNTRIES.includes(country) ? 'EU' : null,
+      'DEFAULT',
+    ];
+
+    for (const candidate of candidates) {
+      const key = candidate && Object.keys(profiles).find(name => name.toUpperCase() === candidate);
+      if (key) {
+        const profile = profiles[key];
+        return typeof profile === 'string' ? { mode: profile } : profile;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 'opt-in' (GDPR) asks before anything non-essential runs, 'opt-out' (CCPA/CPRA) runs everything
+   * until the user opts out, and 'notice-only' just tells the user what we use
+   */
+  getJurisdictionMode() {
+    const mode = this.getJurisdictionProfile()?.mode;
+    return ['opt-out', 'notice-only'].includes(mode) ? mode : 'opt-in';
+  }
+
+  /**
+   * Outside opt-in jurisdictions the default choices apply until the user says otherwise
+   */
+  isConsentPresumed() {
+    return this.getJurisdictionMode() !== 'opt-in';
+  }
+
+  getNoticeOnlyContent() {
+    const noticeDescription =
+      this.getText().notice?.description ||
+      '<p>We use cookies on our site to enhance your user experience, provide personalized content, and analyze our traffic.</p>';
+
+    const okButtonText = this.getText().notice?.okButtonText || 'OK';
+    const okButton = this.createButton('notice-ok st-button st-button--primary', okButtonText);
+
+    return this.createFragment([
+      this.createBannerDescription(noticeDescription),
+      this.createElement('div', { class: 'actions' }, [
+        okButton,
+        this.createElement('div', { class: 'actions-row' }, [this.createPreferencesButton()]),
+      ]),
+    ]);
+  }
+
+  // ----------------------------------------------------------------
+  // Global Privacy Control / Do Not Track
+  // ----------------------------------------------------------------
+  /**
+   * Returns 'gpc' or 'dnt' when the browser sends a privacy signal we've been configured to
+   * honour, otherwise null
+   */
+  getPrivacySignal() {
+    const settings = this.config.privacySignal;
+    // The server doesn't see the browser's signals
+    if (!settings || this.headless) return null;
+
+    if (settings.globalPrivacyControl !== false && navigator.globalPrivacyControl === true) {
+      return 'gpc';
+    }
+
+    const doNotTrack = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    if (settings.doNotTrack && (doNotTrack === '1' || doNotTrack === 'yes')) {
+      return 'dnt';
+    }
+
+    return null;
+  }
+
+  getPrivacySignalCookieTypes() {
+    if (!this.getPrivacySignal()) return [];
+    return (this.config.cookieTypes || []).filter(type => type.rejectOnPrivacySignal && !type.required);
+  }
+
+  /**
+   * The value a cookie type has before the user makes a choice
+   */
+  getDefaultCookieChoice(type) {
+    if (type.required) return true;
+    if (this.getPrivacySignalCookieTypes().includes(type)) return false;
+    // Opt-out and notice-only jurisdictions start with everything on
+    if (this.isConsentPresumed()) return true;
+    return !!type.defaultValue;
+  }
+
+  /**
+   * Where the stored rejection of the marked cookie types came from ('gpc' or 'dnt'), if anywhere
+   */
+  getStoredPrivacySignal() {
+    return this.storage.getItem(`silktideCookieBanner_PrivacySignal${this.getBannerSuffix()}`);
+  }
+
+  /**
+   * Automatically reject the cookie types marked with rejectOnPrivacySignal. We only do this the
+   * first time we see the signal, so a choice the user makes explicitly afterwards takes precedence.
+   */
+  applyPrivacySignal() {
+    const signal = this.getPrivacySignal();
+    if (!signal || this.getStoredPrivacySignal()) return;
+
+    const rejectedTypes = this.getPrivacySignalCookieTypes();
+    if (!rejectedTypes.length) return;
+
+    this.storage.setItem(`silktideCookieBanner_PrivacySignal${this.getBannerSuffix()}`, signal);
+
+    rejectedTypes.forEach((type) => {
+      this.storeCookieChoice(type, false);
+    });
+
+    // With nothing left to ask about, the signal is the user's choice
+    const undecidedTypes = this.config.cookieTypes.filter(
+      type => !type.required && !rejectedTypes.includes(type),
+    );
+    if (!undecidedTypes.length && !this.config.privacySignal.showNotice) {
+      this.config.cookieTypes
+        .filter(type => type.required)
+        .forEach((type) => {
+          this.storeCookieChoice(type, true);
+        });
+      this.setInitialCookieChoiceMade();
+      this.saveConsentRecord('privacy-signal');
+    }
+  }
+
+  /**
+   * Store the rejection of a type marked rejectOnPrivacySignal, unless the user has already made
+   * their own choice for it in preferences
+   */
+  keepPrivacySignalRejection(type) {
+    if (this.storage.getItem(`silktideCookieChoice_${type.id}${this.getBannerSuffix()}`) === null) {
+      this.storeCookieChoice(type, false);
+    }
+  }
+
+  shouldShowPrivacySignalNotice() {
+    return !!this.config.privacySignal?.showNotice && this.getPrivacySignalCookieTypes().length > 0;
+  }
+
+  getPrivacySignalNoticeContent() {
+    const noticeDescription =
+      this.getText().privacySignalNotice?.description ||
+      "<p>We've honoured your browser's privacy signal and turned off cookies that sell or share your personal information. You can review your choices at any time in your cookie preferences.</p>";
+
+    const okButton = this.createButton(
+      'privacy-signal-ok st-button st-button--primary',
+      this.getText().privacySignalNotice?.okButtonText || 'OK',
+      this.getText().privacySignalNotice?.okButtonAccessibleLabel,
+    );
+
+    return this.createFragment([
+      this.createBannerDescription(noticeDescription),
+      this.createElement('div', { class: 'actions' }, [
+        okButton,
+        this.createElement('div', { class: 'actions-row' }, [this.createPreferencesButton()]),
+      ]),
+    ]);
+  }
+
+  handleNoticeDismissed() {
+    this.removeBanner();
+    this.hideBackdrop();
+    this.showCookieIcon();
+
+    // Anything not covered by the signal or the jurisdiction gets its default value
+    this.handleClosedWithNoChoice();
+  }
+
+  // ----------------------------------------------------------------
+  // Script & Iframe Blocking
+  // ----------------------------------------------------------------
+  /**
+   * Content can be held back until its cookie types are accepted with markup such as
+   * <script type="text/plain" data-silktide-category="analytics">...</script>
+   * <script type="text/plain" data-silktide-category="analytics" data-silktide-src="..."></script>
+   * <iframe data-silktide-src="..." data-silktide-category="marketing"></iframe>
+   * Several space separated categories all have to be accepted, and a single vendor can be
+   * named as type:vendor, e.g. data-silktide-category="marketing:meta". Content gated by a named
+   * instance says so with data-silktide-instance="shop".
+   */
+  setupAutoBlocker() {
+    if (this.config.autoBlock === false) return;
+
+    this.updateBlockedContent();
+
+    // Pick up content that is added to the page later
+    this.autoBlockObserver = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            this.updateBlockedContent(node);
+          }
+        });
+      });
+    });
+    this.autoBlockObserver.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  isBlockedContentAllowed(element, acceptedCookies) {
+    const categories = this.getBlockedCategories(element);
+
+    return categories.length > 0 && categories.every((cookieId) => {
+      // A single vendor can be named as type:vendor, e.g. marketing:meta
+      if (cookieId.includes(':')) {
+        return this.hasConsent(cookieId);
+      }
+      const cookieType = (this.config.cookieTypes || []).find(type => type.id === cookieId);
+      return !!cookieType?.required || !!acceptedCookies[cookieId];
+    });
+  }
+
+  /**
+   * Activate blocked scripts and iframes within root whose cookie types are accepted, and
+   * unload iframes whose cookie types have been rejected
+   */
+  updateBlockedContent(root = document) {
+    if (this.config.autoBlock === false) return;
+
+    const selector = 'script[type="text/plain"][data-silktide-category], iframe[data-silktide-category]';
+    const elements = [
+      ...(root.matches?.(selector) ? [root] : []),
+      ...root.querySelectorAll(selector),
+    ].filter(element => this.ownsElement(element));
+    if (!elements.length) return;
+
+    const acceptedCookies = this.getAcceptedCookies();
+
+    elements.forEach((element) => {
+      const allowed = this.isBlockedContentAllowed(element, acceptedCookies);
+
+      if (element.tagName === 'SCRIPT') {
+        if (allowed) {
+          this.activateBlockedScript(element);
+        }
+      } else {
+        this.updateBlockedIframe(element, allowed);
+      }
+    });
+  }
+
+  activateBlockedScript(blockedScript) {
+    const script = document.createElement('script');
+
+    Array.from(blockedScript.attributes).forEach(({ name, value }) => {
+      if (!['type', 'data-silktide-type', 'data-silktide-src'].includes(name)) {
+        script.setAttribute(name, value);
+      }
+    });
+
+    // data-silktide-type restores a type such as "module"
+    script.type = blockedScript.getAttribute('data-silktide-type') || 'text/javascript';
+
+    const src = blockedScript.getAttribute('data-silktide-src');
+    if (src) {
+      script.src = SilktideCookieBanner.createTrustedScriptURL(src);
+    }
+
+    // Dynamically inserted scripts are async by default, keep them in document order instead
+    if (script.src && !blockedScript.hasAttribute('async')) {
+      script.async = false;
+    }
+
+    script.text = createTrustedScript(blockedScript.text);
+    blockedScript.parentNode.replaceChild(script, blockedScript);
+  }
+
+  updateBlockedIframe(iframe, allowed) {
+    const src = iframe.getAttribute('data-silktide-src');
+    if (!src) return;
+
+    // "Load once" lets a single embed through for this page view without storing any consent
+    const show = allowed || iframe.hasAttribute('data-silktide-loaded-once');
+
+    if (show && iframe.getAttribute('src') !== src) {
+      iframe.setAttribute('src', src);
+    } else if (!show && iframe.getAttribute('src') === src) {
+      iframe.setAttribute('src', 'about:blank');
+    }
+
+    this.updatePlaceholder(iframe, show);
+  }
+
+  // ----------------------------------------------------------------
+  // Embed Placeholders
+  // ----------------------------------------------------------------
+  /**
+   * A blocked iframe is hidden behind a card that says who hosts the content, with buttons to
+   * load it once or to always allow its cookie types. The host is worked out from the src, or
+   * named with data-silktide-provider="YouTube". Turn the cards off with config.placeholders =
+   * false, or for one iframe with data-silktide-placeholder="false".
+   */
+  isPlaceholderEnabled(iframe) {
+    return (
+      this.config.placeholders !== false &&
+      iframe.getAttribute('data-silktide-placeholder') !== 'false'
+    );
+  }
+
+  getPlaceholders() {
+    if (this.headless) return [];
+    return Array.from(this.document.querySelectorAll('.silktide-placeholder')).filter(
+      placeholder => this.ownsElement(placeholder),
+    );
+  }
+
+  /**
+   * The card sits right before its iframe, and is rebuilt on every update so it follows the
+   * language and the cookie type names
+   */
+  updatePlaceholder(iframe, show) {
+    const existing = iframe.previousElementSibling?.classList.contains('silktide-placeholder')
+      ? iframe.previousElementSibling
+      : null;
+
+    if (show || !this.isPlaceholderEnabled(iframe)) {
+      existing?.parentNode.removeChild(existing);
+      if (iframe.hasAttribute('data-silktide-hidden')) {
+        iframe.removeAttribute('data-silktide-hidden');
+        iframe.hidden = false;
+      }
+      return;
+    }
+
+    const placeholder = this.createPlaceholder(iframe);
+    if (existing) {
+      existing.parentNode.replaceChild(placeholder, existing);
+    } else {
+      iframe.parentNode.insertBefore(placeholder, iframe);
+    }
+
+    if (!iframe.hidden) {
+      iframe.setAttribute('data-silktide-hidden', '');
+      iframe.hidden = true;
+    }
+  }
+
+  createPlaceholder(iframe) {
+    const text = this.getText().placeholder || {};
+    const categoryNames = this.getBlockedCategories(iframe).map((cookieId) => {
+      const [typeId, vendorId] = cookieId.split(':');
+      const type = (this.config.cookieTypes || []).find(item => item.id === typeId);
+      const vendor = vendorId && type?.vendors?.find(item => item.id === vendorId);
+      return vendor?.name || (type ? this.getCookieTypeText(type).name : typeId);
+    });
+    const description = (
+      text.description || 'This content is hosted by {provider}. Allow {category} cookies to view it.'
+    )
+      .replace('{provider}', this.getEmbedProvider(iframe))
+      .replace('{category}', categoryNames.join(', '));
+
+    const loadOnceButton = this.createButton(
+      'placeholder-load-once st-button st-button--secondary',
+      text.loadOnceButtonText || 'Load once',
+      text.loadOnceButtonAccessibleLabel,
+    );
+    const alwaysAllowButton = this.createButton(
+      'placeholder-always-allow st-button st-button--primary',
+      text.alwaysAllowButtonText || 'Always allow',
+      text.alwaysAllowButtonAccessibleLabel,
+    );
+
+    loadOnceButton.addEventListener('click', () => {
+      iframe.setAttribute('data-silktide-loaded-once', '');
+      this.updateBlockedIframe(iframe, true);
+      iframe.focus();
+    });
+    alwaysAllowButton.addEventListener('click', () => {
+      this.allowPlaceholderContent(iframe);
+      iframe.focus();
+    });
+
+    const placeholder = this.createElement(
+      'div',
+      {
+        class: 'silktide-placeholder',
+        'data-silktide-instance': this.isDefaultInstance() ? null : this.getInstanceName(),
+        lang: this.getLanguage() || null,
+        dir: this.isRightToLeft() ? 'rtl' : null,
+      },
+      [
+        this.createElement('p', {}, [description]),
+        this.createElement('div', { class: 'actions' }, [loadOnceButton, alwaysAllowButton]),
+      ],
+    );
+
+    // Take the iframe's size, so the page doesn't jump when the content loads
+    ['width', 'height'].forEach((dimension) => {
+      const value = iframe.getAttribute(dimension);
+      if (value) {
+        placeholder.style[dimension] = /^\d+$/.test(value) ? `${value}px` : value;
+      }
+    });
+
+    const variables = this.getThemeVariables();
+    Object.keys(variables).forEach((name) => {
+      placeholder.style.setProperty(name, variables[name]);
+    });
+
+    return placeholder;
+  }
+
+  getBlockedCategories(element) {
+    return (element.getAttribute('data-silktide-category') || '').split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * The choices that let an embed load. Naming a single vendor keeps the type's other vendors as
+   * they are, rather than letting them in with it.
+   */
+  getPlaceholderChoices(iframe) {
+    const vendorConsent = this.getVendorConsent();
+
+    return this.getBlockedCategories(iframe).reduce((choices, cookieId) => {
+      const [typeId, vendorId] = cookieId.split(':');
+      if (!vendorId) {
+        choices[typeId] = true;
+      } else if (choices[typeId] !== true) {
+        choices[typeId] = { ...(choices[typeId] || vendorConsent[typeId]), [vendorId]: true };
+      }
+      return choices;
+    }, {});
+  }
+
+  /**
+   * Accept only the embed's own cookie types or vendors. Everything else stays undecided, so the
+   * banner keeps asking about it.
+   */
+  allowPlaceholderContent(iframe) {
+    const choices = this.getPlaceholderChoices(iframe);
+
+    Object.keys(choices).forEach((typeId) => {
+      const type = this.config.cookieTypes.find(item => item.id === typeId);
+      if (!type) return;
+
+      if (typeof choices[typeId] === 'object') {
+        this.storeVendorChoices(type, choices[typeId]);
+      } else {
+        this.storeCookieChoice(type, true);
+      }
+    });
+
+    this.handleConsentUpdate('custom');
+    this.updateCheckboxState();
+  }
+
+  getEmbedProvider(iframe) {
+    if (iframe.getAttribute('data-silktide-provider')) {
+      return iframe.getAttribute('data-silktide-provider');
+    }
+
+    try {
+      const url = new URL(iframe.getAttribute('data-silktide-src'), this.document.baseURI);
+      const provider = SilktideCookieBanner.EMBED_PROVIDERS.find(
+        ({ pattern }) => pattern.test(url.hostname + url.pathname),
+      );
+      return provider ? provider.name : url.hostname.replace(/^www\./, '');
+    } catch (e) {
+      return 'a third party';
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Banner
+  // ----------------------------------------------------------------
+  getBannerContent() {
+    if (this.shouldShowPrivacySignalNotice()) {
+      return this.getPrivacySignalNoticeContent();
+    }
+
+    if (this.getJurisdictionMode() === 'notice-only') {
+      return this.getNoticeOnlyContent();
+    }
+
+    const bannerDescription =
+      this.getText().banner?.description ||
+      "<p>We use cookies on our site to enhance your user experience, provide personalized content, and analyze our traffic.</p>";
+
+    // Accept button
+    const acceptAllButton = this.createButton(
+      'accept-all st-button st-button--primary',
+      this.getText().banner?.acceptAllButtonText || 'Accept all',
+      this.getText().banner?.acceptAllButtonAccessibleLabel,
+    );
+
+    // Reject button
+    const rejectNonEssentialButton = this.createButton(
+      'reject-all st-button st-button--primary',
+      this.getText().banner?.rejectNonEssentialButtonText || 'Reject non-essential',
+      this.getText().banner?.rejectNonEssentialButtonAccessibleLabel,
+    );
+
+    // Silktide logo link
+    const silktideLogoLabel =
+      this.getText().banner?.silktideLogoAccessibleLabel || 'Visit the Silktide Consent Manager page';
+    const silktideLogo = this.createElement(
+      'a',
+      {
+        class: 'silktide-logo',
+        href: 'https://silktide.com/consent-manager',
+        target: '_blank',
+        rel: 'noreferrer',
+        'aria-label': silktideLogoLabel,
+      },
+      [this.createIcon(SilktideCookieBanner.ICONS.logo)],
+    );
+
+    return this.createFragment([
+      this.createBannerDescription(bannerDescription),
+      this.createElement('div', { class: 'actions' }, [
+        acceptAllButton,
+        rejectNonEssentialButton,
+        this.createElement('div', { class: 'actions-row' }, [
+          this.createPreferencesButton(),
+          silktideLogo,
+        ]),
+      ]),
+    ]);
+  }
+
+  /**
+   * Whether the user has made a decision, even if cookie types have been added since. Their
+   * choices for the types they've seen still apply, shouldShowBanner() asks about the new ones.
+   */
+  hasSetInitialCookieChoices() {
+    if (this.storage.getItem(`silktideCookieBanner_InitialChoice${this.getBannerSuffix()}`)) {
+      return true;
+    }
+    const record = this.getConsentRecord();
+    return !!record && record.method !== 'reset';
+  }
+
+  /**
+   * The banner's description, which also describes its dialog
+   */
+  createBannerDescription(html) {
+    return this.createElement('div', { id: this.getElementId('silktide-banner-description') }, [
+      this.createHtmlFragment(html),
+    ]);
+  }
+
+  /**
+   * The banner is a dialog, and a modal one when the backdrop blocks the page behind it
+   */
+  applyBannerAttributes() {
+    this.banner.setAttribute('role', 'dialog');
+    this.banner.setAttribute('aria-modal', String(!!this.shouldShowBackdrop()));
+    this.banner.setAttribute(
+      'aria-label',
+      this.getText().banner?.dialogAccessibleLabel || 'Cookie consent',
+    );
+    this.banner.setAttribute('aria-describedby', this.getElementId('silktide-banner-description'));
+  }
+
+  createBanner() {
+    this.renderBanner();
+    this.updateTcfData('cmpuishown');
+
+    // Trigger optional onBannerOpen callback
+    if (this.banner && typeof this.config.onBannerOpen === 'function') {
+      this.config.onBannerOpen();
+    }
+
+    if (this.banner) {
+      this.emit('bannerShown');
+    }
+  }
+
+  renderBanner() {
+    // Create banner element
+    this.banner = this.createWrapperChild(this.getBannerContent(), 'silktide-banner');
+    this.applyBannerAttributes();
+
+    // Add positioning class from config
+    if (this.banner && this.config.position?.banner) {
+      this.banner.classList.add(this.config.position.banner);
+    }
+
+    if (this.banner && this.shouldShowPrivacySignalNotice()) {
+      this.banner.classList.add('privacy-signal-notice');
+    } else if (this.banner && this.getJurisdictionMode() !== 'opt-in') {
+      this.banner.classList.add(this.getJurisdictionMode());
+    }
+  }
+
+  removeBanner() {
+    if (this.banner && this.banner.parentNode) {
+      this.banner.parentNode.removeChild(this.banner);
+      this.banner = null;
+
+      // Trigger optional onBannerClose callback
+      if (typeof this.config.onBannerClose === 'function') {
+        this.config.onBannerClose();
+      }
+
+      this.emit('bannerClosed');
+    }
+  }
+
+  shouldShowBanner() {
+    if (this.config.showBanner === false) {
+      return false;
+    }
+    // A jurisdiction can turn the banner off, e.g. { mode: 'opt-out', showBanner: false } when the
+    // "Do not sell" link lives in the site footer as a [data-silktide-open-preferences] element
+    if (this.getJurisdictionProfile()?.showBanner === false) {
+      return false;
+    }
+    // Opt-out jurisdictions get the "Do not sell" link instead, only a privacy signal notice shows
+    if (this.getJurisdictionMode() === 'opt-out') {
+      return this.shouldShowPrivacySignalNotice() && !this.hasSetInitialCookieChoices();
+    }
+    // Ask again when cookie types have been added since the user last made a choice
+    return !this.hasSetInitialCookieChoices() || this.getUnseenCookieTypes().length > 0;
   }
 
   // ----------------------------------------------------------------
-  // Modal
-  // ----------------------------------------------------------------
+  // Modal
+  // ----------------------------------------------------------------
   getModalContent() {
     const preferencesTitle =
-      this.config.text?.preferences?.title || 'Customize your cookie preferences';
-    
+      this.getText().preferences?.title || 'Customize your cookie preferences';
+
     const preferencesDescription =
-      this.config.text?.preferences?.description ||
+      this.getText().preferences?.description ||
       "<p>We respect your right to privacy. You can choose not to allow some types of cookies. Your cookie preferences will apply across our website.</p>";
-    
-    // Preferences button
-    const preferencesButtonLabel = this.config.text?.banner?.preferencesButtonAccessibleLabel;
-
-    const closeModalButton = `<button class="modal-close"${preferencesButtonLabel ? ` aria-label="${preferencesButtonLabel}"` : ''}>
-      <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
-          <path d="M19.4081 3.41559C20.189 2.6347 20.189 1.36655 19.4081 0.585663C18.6272 -0.195221 17.3591 -0.195221 16.5782 0.585663L10 7.17008L3.41559 0.59191C2.6347 -0.188974 1.36655 -0.188974 0.585663 0.59191C-0.195221 1.37279 -0.195221 2.64095 0.585663 3.42183L7.17008 10L0.59191 16.5844C-0.188974 17.3653 -0.188974 18.6335 0.59191 19.4143C1.37279 20.1952 2.64095 20.1952 3.42183 19.4143L10 12.8299L16.5844 19.4081C17.3653 20.189 18.6335 20.189 19.4143 19.4081C20.1952 18.6272 20.1952 17.3591 19.4143 16.5782L12.8299 10L19.4081 3.41559Z"/>
-      </svg>
-    </button>`;
-    
 
-    const cookieTypes = this.config.cookieTypes || [];
+    // Close button, labelled like the preferences button that opens the modal
+    const closeModalButton = this.createButton(
+      'modal-close',
+      this.createIcon(SilktideCookieBanner.ICONS.close),
+      this.getText().banner?.preferencesButtonAccessibleLabel,
+    );
+
+    // Accept button
+    const acceptAllButton = this.createButton(
+      'preferences-accept-all st-button st-button--primary',
+      this.getText().banner?.acceptAllButtonText || 'Accept all',
+      this.getText().banner?.acceptAllButtonAccessibleLabel,
+    );
+
+    // Reject button
+    const rejectNonEssentialButton = this.createButton(
+      'preferences-reject-all st-button st-button--primary',
+      this.getText().banner?.rejectNonEssentialButtonText || 'Reject non-essential',
+      this.getText().banner?.rejectNonEssentialButtonAccessibleLabel,
+    );
+
+    // Credit link
+    const creditLinkText = this.getText().preferences?.creditLinkText || 'Get this banner for free';
+    const creditLinkAccessibleLabel = this.getText().preferences?.creditLinkAccessibleLabel;
+    const creditLink = this.createElement(
+      'a',
+      {
+        href: 'https://silktide.com/consent-manager',
+        target: '_blank',
+        rel: 'noreferrer',
+        'aria-label':
+          creditLinkAccessibleLabel && creditLinkAccessibleLabel !== creditLinkText
+            ? creditLinkAccessibleLabel
+            : null,
+      },
+      [creditLinkText],
+    );
+
+    return this.createFragment([
+      this.createElement('header', {}, [
+        this.createElement('h2', { id: this.getElementId('silktide-modal-title') }, [
+          preferencesTitle,
+        ]),
+        closeModalButton,
+      ]),
+      this.createElement('div', { id: this.getElementId('silktide-modal-description') }, [
+        this.createHtmlFragment(preferencesDescription),
+      ]),
+      this.createElement(
+        'section',
+        { id: this.getElementId('cookie-preferences') },
+        this.createCookieTypeFieldsets(),
+      ),
+      this.createElement('footer', {}, [acceptAllButton, rejectNonEssentialButton, creditLink]),
+    ]);
+  }
+
+  /**
+   * A fieldset with a switch for each cookie type. The inline preferences panels give their
+   * switches an idSuffix so their ids don't clash with the modal's.
+   */
+  createCookieTypeFieldsets(idSuffix = '', showCookies = true) {
     const acceptedCookieMap = this.getAcceptedCookies();
 
-    // Accept button
-    const acceptAllButtonText = this.config.text?.banner?.acceptAllButtonText || 'Accept all';
-    const acceptAllButtonLabel = this.config.text?.banner?.acceptAllButtonAccessibleLabel;
-    const acceptAllButton = `<button class="preferences-accept-all st-button st-button--primary"${
-      acceptAllButtonLabel && acceptAllButtonLabel !== acceptAllButtonText 
-        ? ` aria-label="${acceptAllButtonLabel}"` 
-        : ''
-    }>${acceptAllButtonText}</button>`;
-    
-    // Reject button
-    const rejectNonEssentialButtonText = this.config.text?.banner?.rejectNonEssentialButtonText || 'Reject non-essential';
-    const rejectNonEssentialButtonLabel = this.config.text?.banner?.rejectNonEssentialButtonAccessibleLabel;
-    const rejectNonEssentialButton = `<button class="preferences-reject-all st-button st-button--primary"${
-      rejectNonEssentialButtonLabel && rejectNonEssentialButtonLabel !== rejectNonEssentialButtonText 
-        ? ` aria-label="${rejectNonEssentialButtonLabel}"` 
-        : ''
-    }>${rejectNonEssentialButtonText}</button>`;
-    
-    // Credit link
-    const creditLinkText = this.config.text?.preferences?.creditLinkText || 'Get this banner for free';
-    const creditLinkAccessibleLabel = this.config.text?.preferences?.creditLinkAccessibleLabel;
-    const creditLink = `<a href="https://silktide.com/consent-manager" target="_blank" rel="noreferrer"${
-      creditLinkAccessibleLabel && creditLinkAccessibleLabel !== creditLinkText
-        ? ` aria-label="${creditLinkAccessibleLabel}"`
-        : ''
-    }>${creditLinkText}</a>`;
-    
-    
+    return (this.config.cookieTypes || []).map((type) => {
+      const accepted = acceptedCookieMap[type.id];
+      let isChecked = false;
+
+      // if it's accepted then show as checked
+      if (accepted) {
+        isChecked = true;
+      }
+
+      // if nothing has been accepted / rejected yet, then show as checked if the default value is true
+      if (!accepted && !this.hasStoredCookieChoice(type.id)) {
+        isChecked = this.getDefaultCookieChoice(type);
+      }
+
+      const { name, description } = this.getCookieTypeText(type);
+
+      return this.createElement('fieldset', {}, [
+        this.createElement('legend', {}, [name]),
+        this.createElement('div', { class: 'cookie-type-content' }, [
+          this.createElement('div', { class: 'cookie-type-description' }, [
+            this.createHtmlFragment(description),
+          ]),
+          this.createSwitch(
+            this.getElementId(`cookies-${type.id}`) + idSuffix,
+            !!type.required || isChecked,
+            !!type.required,
+            { 'data-cookie-type': type.id },
+          ),
+        ]),
+        this.createCookieTypeDetails(type, !!type.required || isChecked, idSuffix, showCookies),
+      ]);
+    });
+  }
+
+  createSwitch(id, checked, disabled, attributes = {}) {
+    const switchOnText = this.getText().preferences?.switchOnText || 'On';
+    const switchOffText = this.getText().preferences?.switchOffText || 'Off';
+
+    return this.createElement('label', { class: 'switch', for: id }, [
+      this.createElement('input', { type: 'checkbox', id, checked, disabled, ...attributes }),
+      this.createElement('span', { class: 'switch__pill', 'aria-hidden': 'true' }),
+      this.createElement('span', { class: 'switch__dot', 'aria-hidden': 'true' }),
+      this.createElement('span', { class: 'switch__off', 'aria-hidden': 'true' }, [switchOffText]),
+      this.createElement('span', { class: 'switch__on', 'aria-hidden': 'true' }, [switchOnText]),
+    ]);
+  }
+
+  /**
+   * The expandable vendor and cookie lists under a cookie type's switch
+   */
+  createCookieTypeDetails(type, checked, idSuffix = '', showCookies = true) {
+    const details = [];
+
+    if (type.vendors?.length) {
+      const vendorsTitle = this.getText().preferences?.vendorsTitle || 'Vendors';
+      const privacyPolicyLinkText =
+        this.getText().preferences?.privacyPolicyLinkText || 'Privacy policy';
+
+      const vendors = type.vendors.map((vendor) => {
+        const storedChoice = this.storage.getItem(this.getVendorStorageKey(type, vendor));
+        const vendorChecked = storedChoice !== null && checked ? storedChoice === 'true' : checked;
+
+        return this.createElement('li', { class: 'vendor' }, [
+          this.createElement('div', { class: 'vendor-description' }, [
+            this.createElement('strong', {}, [vendor.name || vendor.id]),
+            vendor.description ? this.createHtmlFragment(vendor.description) : null,
+            vendor.privacyPolicyUrl && this.isSafeUrl(vendor.privacyPolicyUrl)
+              ? this.createElement(
+                'a',
+                { href: vendor.privacyPolicyUrl, target: '_blank', rel: 'noopener noreferrer' },
+                [privacyPolicyLinkText],
+              )
+              : null,
+          ]),
+          this.createSwitch(
+            this.getElementId(`cookies-${type.id}--${vendor.id}`) + idSuffix,
+            !!type.required || vendorChecked,
+            !!type.required,
+            {
+              'data-cookie-type': type.id,
+              'data-vendor': vendor.id,
+              'aria-label': vendor.name || vendor.id,
+            },
+          ),
+        ]);
+      });
+
+      details.push(
+        this.createElement('details', { class: 'cookie-type-details' }, [
+          this.createElement('summary', {}, [`${vendorsTitle} (${type.vendors.length})`]),
+          this.createElement('ul', { class: 'vendor-list' }, vendors),
+        ]),
+      );
+    }
+
+    const cookies = showCookies ? this.getCookieTableEntries(type) : [];
+    if (cookies.length) {
+      const cookiesTitle = this.getText().preferences?.cookiesTitle || 'Cookies';
+      const headings = [
+        this.getText().preferences?.cookieNameHeading || 'Name',
+        this.getText().preferences?.cookieProviderHeading || 'Provider',
+        this.getText().preferences?.cookiePurposeHeading || 'Purpose',
+        this.getText().preferences?.cookieDurationHeading || 'Duration',
+      ];
+
+      details.push(
+        this.createElement('details', { class: 'cookie-type-details' }, [
+          this.createElement('summary', {}, [`${cookiesTitle} (${cookies.length})`]),
+          this.createElement('table', { class: 'cookie-table' }, [
+            this.createElement('thead', {}, [
+              this.createElement(
+                'tr',
+                {},
+                headings.map(heading => this.createElement('th', { scope: 'col' }, [heading])),
+              ),
+            ]),
+            this.createElement('tbody', {}, cookies.map(cookie =>
+              this.createElement('tr', {}, [
+                this.createElement('td', {}, [cookie.name]),
+                this.createElement('td', {}, [cookie.provider]),
+                this.createElement('td', {}, [cookie.purpose]),
+                this.createElement('td', {}, [cookie.duration]),
+              ]),
+            )),
+          ]),
+        ]),
+      );
+    }
 
-    const modalContent = `
-      <header>
-        <h1>${preferencesTitle}</h1>                    
-        ${closeModalButton}
-      </header>
-      ${preferencesDescription}
-      <section id="cookie-preferences">
-        ${cookieTypes
-          .map((type) => {
-            const accepted = acceptedCookieMap[type.id];
-            let isChecked = false;
-
-            // if it's accepted then show as checked
-            if (accepted) {
-              isChecked = true;
-            }
-
-            // if nothing has been accepted / rejected yet, then show as checked if the default value is true
-            if (!accepted && !this.hasSetInitialCookieChoices()) {
-              isChecked = type.defaultValue;
-            }
-
-            return `
-            <fieldset>
-                <legend>${type.name}</legend>
-                <div class="cookie-type-content">
-                    <div class="cookie-type-description">${type.description}</div>
-                    <label class="switch" for="cookies-${type.id}">
-                        <input type="checkbox" id="cookies-${type.id}" ${
-              type.required ? 'checked disabled' : isChecked ? 'checked' : ''
-            } />
-                        <span class="switch__pill" aria-hidden="true"></span>
-                        <span class="switch__dot" aria-hidden="true"></span>
-                        <span class="switch__off" aria-hidden="true">Off</span>
-                        <span class="switch__on" aria-hidden="true">On</span>
-                    </label>
-                </div>
-            </fieldset>
-        `;
-          })
-          .join('')}
-      </section>
-      <footer>
-        ${acceptAllButton}
-        ${rejectNonEssentialButton}
-        ${creditLink}
-      </footer>
-    `;
-
-    return modalContent;
+    return details;
+  }
+
+  /**
+   * The rows of a cookie type's cookie table, from its own cookies and its vendors' cookies.
+   * Entries are the same ones used to delete rejected cookies, so they can be names, RegExps or
+   * { name, displayName, provider, purpose, duration, domain, path }.
+   */
+  getCookieTableEntries(type) {
+    const toEntry = (cookie, vendor) => {
+      const { name, displayName, provider, purpose, duration } = this.getCookieEntry(cookie);
+
+      return {
+        name: displayName || (this.isRegExp(name) ? name.source : name),
+        provider: provider || vendor?.name || '',
+        purpose: purpose || '',
+        duration: duration || '',
+      };
+    };
+
+    return [
+      ...(type.cookies || []).map(cookie => toEntry(cookie)),
+      ...(type.vendors || []).flatMap(vendor =>
+        (vendor.cookies || []).map(cookie => toEntry(cookie, vendor)),
+      ),
+    ];
+  }
+
+  /**
+   * A cookie type's switch is on when all of its vendors are, off when none are and shows a
+   * mixed state in between
+   */
+  updateCategorySwitchState(type, section = this.getPreferencesSection()) {
+    const vendorCheckboxes = this.getVendorCheckboxes(type, section);
+    if (!vendorCheckboxes.length) return;
+
+    const checkbox = this.getCategoryCheckboxes(section).find(
+      categoryCheckbox => categoryCheckbox.getAttribute('data-cookie-type') === type.id,
+    );
+    if (!checkbox) return;
+
+    const checkedCount = vendorCheckboxes.filter(vendorCheckbox => vendorCheckbox.checked).length;
+    checkbox.checked = checkedCount > 0;
+    checkbox.indeterminate = checkedCount > 0 && checkedCount < vendorCheckboxes.length;
+    checkbox.setAttribute('aria-checked', checkbox.indeterminate ? 'mixed' : String(checkbox.checked));
+  }
+
+  getPreferencesSection() {
+    return this.modal?.querySelector(`#${this.getElementId('cookie-preferences')}`) || null;
+  }
+
+  /**
+   * The switches in the modal, or in an inline preferences panel's section
+   */
+  getCategoryCheckboxes(preferencesSection = this.getPreferencesSection()) {
+    if (!preferencesSection) return [];
+    return Array.from(
+      preferencesSection.querySelectorAll('input[type="checkbox"]:not([data-vendor])'),
+    );
+  }
+
+  getVendorCheckboxes(type, preferencesSection = this.getPreferencesSection()) {
+    if (!preferencesSection) return [];
+    return Array.from(preferencesSection.querySelectorAll('input[data-vendor]')).filter(
+      checkbox => checkbox.getAttribute('data-cookie-type') === type.id,
+    );
   }
 
   createModal() {
     // Create banner element
     this.modal = this.createWrapperChild(this.getModalContent(), 'silktide-modal');
+    this.modal.setAttribute('role', 'dialog');
+    this.modal.setAttribute('aria-modal', 'true');
+    this.modal.setAttribute('aria-labelledby', this.getElementId('silktide-modal-title'));
+    this.modal.setAttribute('aria-describedby', this.getElementId('silktide-modal-description'));
+  }
+
+  toggleModal(show, saveChoices = true) {
+    if (!this.modal) return;
+
+    const wasOpen = this.modal.style.display === 'flex';
+    this.modal.style.display = show ? 'flex' : 'none';
+
+    if (show) {
+      // Remember what opened the modal so focus can go back there when it closes
+      if (!wasOpen) {
+        this.modalInvoker = this.getActiveElement() || document.activeElement;
+      }
+
+      this.showBackdrop();
+      this.hideCookieIcon();
+      this.removeBanner();
+      this.preventBodyScroll();
+
+      if (!wasOpen) {
+        this.setBackgroundInert(true);
+      }
+
+      // Focus the close button
+      const modalCloseButton = this.modal.querySelector('.modal-close');
+      modalCloseButton.focus();
+
+      this.updateTcfData('cmpuishown');
+
+      // Trigger optional onPreferencesOpen callback
+      if (typeof this.config.onPreferencesOpen === 'function') {
+        this.config.onPreferencesOpen();
+      }
+
+      if (!wasOpen) {
+        this.emit('preferencesOpened');
+      }
+
+      this.updateCheckboxState(false); // read from storage when opening
+    } else if (saveChoices) {
+      // Closing the modal before anything was chosen or toggled counts as closing without a choice
+      const hasRecordedChoices = Object.keys(this.getConsentRecord()?.choices || {}).length > 0;
+      const method = this.hasSetInitialCookieChoices() || hasRecordedChoices ? 'custom' : 'closed';
+
+      // Set that an initial choice was made when closing the modal
+      this.setInitialCookieChoiceMade();
+      
+      // Save current checkbox states to storage
+      this.updateCheckboxState(true, method);
+    }
+
+    if (!show) {
+      this.hideBackdrop();
+      this.showCookieIcon();
+      this.allowBodyScroll();
+      this.setBackgroundInert(false);
+
+      if (wasOpen) {
+        this.restoreFocus();
+      }
+
+      // Trigger optional onPreferencesClose callback
+      if (typeof this.config.onPreferencesClose === 'function') {
+        this.config.onPreferencesClose();
+      }
+
+      if (wasOpen) {
+        this.emit('preferencesClosed');
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Inline Preferences
+  // ----------------------------------------------------------------
+  /**
+   * The same switches as the modal, rendered inside the page, e.g. on the privacy policy:
+   * <div data-silktide-preferences></div>, or data-silktide-preferences="shop" for a named
+   * instance. Add data-silktide-show-cookies to list each type's cookies as well. Changes are
+   * only stored by the panel's Save button, and the panel never opens the backdrop or locks scroll.
+   */
+  setupInlinePreferences() {
+    this.inlinePanels = [];
+
+    document.querySelectorAll('[data-silktide-preferences]').forEach((container) => {
+      const instanceName =
+        container.getAttribute('data-silktide-preferences') || SilktideCookieBanner.DEFAULT_INSTANCE;
+      if (instanceName === this.getInstanceName()) {
+        this.mountPreferences(container);
+      }
+    });
+  }
+
+  /**
+   * Render a preferences panel into container, an element or a selector, replacing any this
+   * banner rendered there before
+   */
+  mountPreferences(container) {
+    const element = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!element) return null;
+
+    this.inlinePanels = this.inlinePanels || [];
+    this.inlinePanelCount = (this.inlinePanelCount || 0) + 1;
+
+    const panel = this.createInlinePreferences(
+      `--inline-${this.inlinePanelCount}`,
+      element.hasAttribute('data-silktide-show-cookies'),
+    );
+    const existing = this.inlinePanels.find(inlinePanel => inlinePanel.parentNode === element);
+
+    if (existing) {
+      element.replaceChild(panel, existing);
+      this.inlinePanels.splice(this.inlinePanels.indexOf(existing), 1, panel);
+    } else {
+      element.appendChild(panel);
+      this.inlinePanels.push(panel);
+    }
+    return panel;
+  }
+
+  createInlinePreferences(idSuffix, showCookies) {
+    const text = this.getText().preferences || {};
+    const section = this.createElement(
+      'section',
+      { class: 'silktide-preferences-section' },
+      this.createCookieTypeFieldsets(idSuffix, showCookies),
+    );
+    const saveButton = this.createButton(
+      'preferences-save st-button st-button--primary',
+      text.saveButtonText || 'Save preferences',
+      text.saveButtonAccessibleLabel,
+    );
+
+    const panel = this.createElement(
+      'div',
+      {
+        class: 'silktide-preferences-panel',
+        lang: this.getLanguage() || null,
+        dir: this.isRightToLeft() ? 'rtl' : null,
+      },
+      [section, this.createElement('div', { class: 'actions' }, [saveButton])],
+    );
+
+    const variables = this.getThemeVariables();
+    Object.keys(variables).forEach((name) => {
+      panel.style.setProperty(name, variables[name]);
+    });
+
+    // Switches only change the panel until it's saved
+    section.addEventListener('change', (event) => {
+      const cookieId = event.target.getAttribute('data-cookie-type');
+      const cookieType = (this.config.cookieTypes || []).find(type => type.id === cookieId);
+      if (!cookieType) return;
+
+      if (!event.target.hasAttribute('data-vendor')) {
+        this.getVendorCheckboxes(cookieType, section).forEach((vendorCheckbox) => {
+          vendorCheckbox.checked = event.target.checked;
+        });
+      }
+      this.updateCategorySwitchState(cookieType, section);
+    });
+
+    saveButton.addEventListener('click', () => this.saveInlinePreferences(section));
+
+    this.updateCheckboxState(false, 'custom', section);
+    return panel;
+  }
+
+  saveInlinePreferences(section) {
+    this.setInitialCookieChoiceMade();
+
+    if (this.banner) {
+      this.removeBanner();
+      this.hideBackdrop();
+      this.showCookieIcon();
+    }
+
+    this.updateCheckboxState(true, 'custom', section);
+    this.updateCheckboxState();
+  }
+
+  /**
+   * Show the stored choices in every panel, after they change anywhere else
+   */
+  updateInlinePreferences() {
+    (this.inlinePanels || []).forEach((panel) => {
+      const section = panel.querySelector('.silktide-preferences-section');
+      this.updateCheckboxState(false, 'custom', section);
+    });
+  }
+
+  removeInlinePreferences() {
+    (this.inlinePanels || []).forEach((panel) => {
+      panel.parentNode?.removeChild(panel);
+    });
+    this.inlinePanels = [];
+  }
+
+  // ----------------------------------------------------------------
+  // Cookie Icon
+  // ----------------------------------------------------------------
+  getCookieIconContent() {
+    return this.createIcon(SilktideCookieBanner.ICONS.cookie);
+  }
+
+  createCookieIcon() {
+    const renderedCookieIcon = this.adoptServerRendered('silktide-cookie-icon');
+    if (renderedCookieIcon) {
+      // Shown again once it's known there's no banner
+      this.cookieIcon = renderedCookieIcon;
+      this.hideCookieIcon();
+      return;
+    }
+
+    this.cookieIcon = this.document.createElement('button');
+    this.cookieIcon.id = this.getElementId('silktide-cookie-icon');
+    this.cookieIcon.classList.add('silktide-cookie-icon');
+    this.cookieIcon.setAttribute('aria-haspopup', 'dialog');
+    this.cookieIcon.appendChild(this.getCookieIconContent());
+    this.updateCookieIconText();
+
+    // Ensure wrapper exists
+    if (!this.wrapper?.isConnected) {
+      this.createWrapper();
+    }
+
+    // Append child to wrapper
+    this.wrapper.appendChild(this.cookieIcon);
+
+    // Add positioning class from config
+    if (this.cookieIcon && this.config.cookieIcon?.position) {
+      this.cookieIcon.classList.add(this.config.cookieIcon.position);
+    }
+
+    // Add color scheme class from config
+    if (this.cookieIcon && this.config.cookieIcon?.colorScheme) {
+      this.cookieIcon.classList.add(this.config.cookieIcon.colorScheme);
+    }
+  }
+
+  updateCookieIconText() {
+    this.cookieIcon.title =
+      this.getText().cookieIcon?.title || 'Manage your cookie preferences for this site';
+
+    if (this.getText().banner?.preferencesButtonAccessibleLabel) {
+      this.cookieIcon.setAttribute('aria-label', this.getText().banner.preferencesButtonAccessibleLabel);
+    } else {
+      this.cookieIcon.removeAttribute('aria-label');
+    }
   }
 
-  toggleModal(show) {
-    if (!this.modal) return;
+  showCookieIcon() {
+    if (this.cookieIcon) {
+      this.cookieIcon.style.display = 'flex';
+    }
+  }
+
+  hideCookieIcon() {
+    if (this.cookieIcon) {
+      this.cookieIcon.style.display = 'none';
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Opt-out Link
+  // ----------------------------------------------------------------
+  /**
+   * Opt-out jurisdictions show a "Do not sell or share" link beside the cookie icon instead of the
+   * banner. It stays on the page so the user can opt out at any time.
+   */
+  shouldShowOptOutLink() {
+    return (
+      this.getJurisdictionMode() === 'opt-out' &&
+      this.config.showBanner !== false &&
+      this.getJurisdictionProfile()?.showBanner !== false
+    );
+  }
+
+  getOptOutLinkText() {
+    return this.getText().optOut?.doNotSellLinkText || 'Do not sell or share my personal information';
+  }
+
+  createOptOutLink() {
+    this.optOutLink = this.adoptServerRendered('silktide-opt-out-link');
+    if (this.optOutLink) return;
+
+    this.optOutLink = this.createButton('silktide-opt-out-link', this.getOptOutLinkText());
+    this.optOutLink.id = this.getElementId('silktide-opt-out-link');
+    this.optOutLink.setAttribute('aria-haspopup', 'dialog');
+
+    if (this.config.cookieIcon?.position) {
+      this.optOutLink.classList.add(this.config.cookieIcon.position);
+    }
+
+    this.wrapper.appendChild(this.optOutLink);
+  }
+
+  /**
+   * This runs if the user closes the modal without making a choice for the first time
+   * We apply the default values and the necessary values as default
+   * (types marked rejectOnPrivacySignal stay rejected when the browser sends GPC/DNT)
+   */
+  handleClosedWithNoChoice() {
+    this.config.cookieTypes.forEach((type) => {
+      // Save to storage
+      this.storeCookieChoice(type, this.getDefaultCookieChoice(type));
+    });
+
+    // set the flag to say that the cookie choice has been made
+    this.setInitialCookieChoiceMade();
+    this.handleConsentUpdate('closed');
+
+    this.updateCheckboxState();
+  }
+
+  // ----------------------------------------------------------------
+  // Programmatic Control
+  // ----------------------------------------------------------------
+  isPreferencesOpen() {
+    return !!this.modal && this.modal.style.display === 'flex';
+  }
+
+  openPreferences() {
+    if (this.isPreferencesOpen()) return;
+    this.toggleModal(true);
+  }
+
+  closePreferences() {
+    if (!this.isPreferencesOpen()) return;
+
+    this.toggleModal(false);
+
+    // Changes made in the modal have already been applied, so only a first visit needs handling
+    if (!this.hasSetInitialCookieChoices()) {
+      this.handleClosedWithNoChoice();
+    }
+  }
+
+  acceptAll() {
+    this.handleCookieChoice(true);
+  }
+
+  rejectAll() {
+    this.handleCookieChoice(false);
+  }
+
+  /**
+   * Set the choice for some cookie types, e.g. setConsent({ analytics: true }), or for some of a
+   * type's vendors with setConsent({ marketing: { meta: false } }).
+   * Types that aren't mentioned keep their stored choice, or get their default value.
+   */
+  setConsent(choices = {}) {
+    const privacySignalTypes = this.getPrivacySignalCookieTypes();
+
+    this.config.cookieTypes.forEach((type) => {
+      const storageKey = `silktideCookieChoice_${type.id}${this.getBannerSuffix()}`;
+      let accepted;
+
+      if (type.required) {
+        accepted = true;
+      } else if (privacySignalTypes.includes(type) && choices[type.id]) {
+        // Like Accept all, this can't override the browser's privacy signal
+        this.keepPrivacySignalRejection(type);
+        return;
+      } else if (Object.prototype.hasOwnProperty.call(choices, type.id)) {
+        if (choices[type.id] && typeof choices[type.id] === 'object') {
+          this.storeVendorChoices(type, choices[type.id]);
+          return;
+        }
+        accepted = !!choices[type.id];
+      } else if (this.storage.getItem(storageKey) !== null) {
+        return;
+      } else {
+        accepted = this.getDefaultCookieChoice(type);
+      }
+
+      this.storeCookieChoice(type, accepted);
+    });
 
-    this.modal.style.display = show ? 'flex' : 'none';
+    this.setInitialCookieChoiceMade();
 
-    if (show) {
-      this.showBackdrop();
-      this.hideCookieIcon();
+    if (this.banner) {
       this.removeBanner();
-      this.preventBodyScroll();
+      this.hideBackdrop();
+      this.showCookieIcon();
+    }
 
-      // Focus the close button
-      const modalCloseButton = this.modal.querySelector('.modal-close');
-      modalCloseButton.focus();
+    this.handleConsentUpdate('custom');
 
-      // Trigger optional onPreferencesOpen callback
-      if (typeof this.config.onPreferencesOpen === 'function') {
-        this.config.onPreferencesOpen();
-      }
+    this.updateCheckboxState();
+  }
 
-      this.updateCheckboxState(false); // read from storage when opening
-    } else {
-      // Set that an initial choice was made when closing the modal
-      this.setInitialCookieChoiceMade();
-      
-      // Save current checkbox states to storage
-      this.updateCheckboxState(true);
+  /**
+   * Forget every stored choice, revoke anything that was accepted and ask again
+   */
+  resetConsent() {
+    this.clearStoredConsent();
+    this.handleConsentUpdate('reset');
 
-      this.hideBackdrop();
-      this.showCookieIcon();
-      this.allowBodyScroll();
+    this.updateCheckboxState();
 
-      // Trigger optional onPreferencesClose callback
-      if (typeof this.config.onPreferencesClose === 'function') {
-        this.config.onPreferencesClose();
-      }
+    if (this.isPreferencesOpen()) {
+      this.toggleModal(false, false);
+    }
+
+    this.removeBanner();
+
+    if (this.shouldShowBanner()) {
+      this.hideCookieIcon();
+      this.createBanner();
+      this.setupBannerEventListeners();
+      this.showBackdrop();
     }
   }
 
   // ----------------------------------------------------------------
-  // Cookie Icon
+  // Focusable Elements
   // ----------------------------------------------------------------
-  getCookieIconContent() {
-    return `
-      <svg width="38" height="38" viewBox="0 0 38 38" fill="none" xmlns="http://www.w3.org/2000/svg">
-          <path d="M19.1172 1.15625C19.0547 0.734374 18.7344 0.390624 18.3125 0.328124C16.5859 0.0859365 14.8281 0.398437 13.2813 1.21875L7.5 4.30469C5.96094 5.125 4.71875 6.41406 3.95313 7.98437L1.08594 13.8906C0.320314 15.4609 0.0703136 17.2422 0.375001 18.9609L1.50781 25.4297C1.8125 27.1562 2.64844 28.7344 3.90625 29.9531L8.61719 34.5156C9.875 35.7344 11.4766 36.5156 13.2031 36.7578L19.6875 37.6719C21.4141 37.9141 23.1719 37.6016 24.7188 36.7812L30.5 33.6953C32.0391 32.875 33.2813 31.5859 34.0469 30.0078L36.9141 24.1094C37.6797 22.5391 37.9297 20.7578 37.625 19.0391C37.5547 18.625 37.2109 18.3125 36.7969 18.25C32.7734 17.6094 29.5469 14.5703 28.6328 10.6406C28.4922 10.0469 28.0078 9.59375 27.4063 9.5C23.1406 8.82031 19.7734 5.4375 19.1094 1.15625H19.1172ZM15.25 10.25C15.913 10.25 16.5489 10.5134 17.0178 10.9822C17.4866 11.4511 17.75 12.087 17.75 12.75C17.75 13.413 17.4866 14.0489 17.0178 14.5178C16.5489 14.9866 15.913 15.25 15.25 15.25C14.587 15.25 13.9511 14.9866 13.4822 14.5178C13.0134 14.0489 12.75 13.413 12.75 12.75C12.75 12.087 13.0134 11.4511 13.4822 10.9822C13.9511 10.5134 14.587 10.25 15.25 10.25ZM10.25 25.25C10.25 24.587 10.5134 23.9511 10.9822 23.4822C11.4511 23.0134 12.087 22.75 12.75 22.75C13.413 22.75 14.0489 23.0134 14.5178 23.4822C14.9866 23.9511 15.25 24.587 15.25 25.25C15.25 25.913 14.9866 26.5489 14.5178 27.0178C14.0489 27.4866 13.413 27.75 12.75 27.75C12.087 27.75 11.4511 27.4866 10.9822 27.0178C10.5134 26.5489 10.25 25.913 10.25 25.25ZM27.75 20.25C28.413 20.25 29.0489 20.5134 29.5178 20.9822C29.9866 21.4511 30.25 22.087 30.25 22.75C30.25 23.413 29.9866 24.0489 29.5178 24.5178C29.0489 24.9866 28.413 25.25 27.75 25.25C27.087 25.25 26.4511 24.9866 25.9822 24.5178C25.5134 24.0489 25.25 23.413 25.25 22.75C25.25 22.087 25.5134 21.4511 25.9822 20.9822C26.4511 20.5134 27.087 20.25 27.75 20.25Z" />
-      </svg>
-    `;
+  getFocusableElements(element) {
+    return Array.from(
+      element.querySelectorAll(
+        'button, a[href], input, select, textarea, summary, [tabindex]:not([tabindex="-1"])',
+      ),
+    ).filter(el => !el.disabled && !el.closest('[hidden]') && !this.isInClosedDetails(el));
   }
 
-  createCookieIcon() {
-    this.cookieIcon = document.createElement('button');
-    this.cookieIcon.id = 'silktide-cookie-icon';
-    this.cookieIcon.title = 'Manage your cookie preferences for this site';
-    this.cookieIcon.innerHTML = this.getCookieIconContent();
+  /**
+   * Swap a re-rendered element in, moving focus to the matching control if the user was on one
+   */
+  replaceKeepingFocus(element, replacement) {
+    const activeElement = this.getActiveElement();
+    const focusIndex = this.getFocusableElements(element).indexOf(activeElement);
 
-    if (this.config.text?.banner?.preferencesButtonAccessibleLabel) {
-      this.cookieIcon.ariaLabel = this.config.text?.banner?.preferencesButtonAccessibleLabel;
-    }
+    element.parentNode.replaceChild(replacement, element);
 
-    // Ensure wrapper exists
-    if (!this.wrapper || !document.body.contains(this.wrapper)) {
-      this.createWrapper();
+    if (activeElement === element) {
+      replacement.focus();
+    } else if (focusIndex !== -1) {
+      this.getFocusableElements(replacement)[focusIndex]?.focus();
     }
+  }
 
-    // Append child to wrapper
-    this.wrapper.appendChild(this.cookieIcon);
+  isInClosedDetails(element) {
+    const details = element.closest('details');
+    if (!details || details.open) return false;
+    // The summary of a closed details element is still reachable
+    return element.closest('summary')?.parentElement !== details;
+  }
 
-    // Add positioning class from config
-    if (this.cookieIcon && this.config.cookieIcon?.position) {
-      this.cookieIcon.classList.add(this.config.cookieIcon.position);
+  /**
+   * Keep Tab within container. The focusable elements are looked up on every key press, so
+   * content that changes (re-rendering, vendor lists opening) is always covered.
+   */
+  trapFocus(event, container) {
+    if (event.key !== 'Tab') return;
+
+    const focusableElements = this.getFocusableElements(container);
+    if (!focusableElements.length) return;
+
+    const firstFocusableEl = focusableElements[0];
+    const lastFocusableEl = focusableElements[focusableElements.length - 1];
+    const activeElement = this.getActiveElement();
+
+    if (event.shiftKey && (activeElement === firstFocusableEl || !container.contains(activeElement))) {
+      lastFocusableEl.focus();
+      event.preventDefault();
+    } else if (!event.shiftKey && (activeElement === lastFocusableEl || !container.contains(activeElement))) {
+      firstFocusableEl.focus();
+      event.preventDefault();
     }
+  }
 
-    // Add color scheme class from config
-    if (this.cookieIcon && this.config.cookieIcon?.colorScheme) {
-      this.cookieIcon.classList.add(this.config.cookieIcon.colorScheme);
+  /**
+   * Make everything else on the page inert while the modal is open
+   */
+  setBackgroundInert(inert) {
+    if (inert) {
+      this.inertElements = [];
+
+      // Walk up from the banner to the body so a banner mounted in config.container stays usable
+      let element = this.shadowHost || this.wrapper;
+      while (element?.parentElement && element !== document.body) {
+        const current = element;
+        this.inertElements.push(
+          ...Array.from(element.parentElement.children).filter(
+            sibling =>
+              sibling !== current &&
+              !sibling.hasAttribute('inert') &&
+              !['SCRIPT', 'STYLE', 'LINK', 'TEMPLATE'].includes(sibling.tagName),
+          ),
+        );
+        element = element.parentElement;
+      }
+      this.inertElements.forEach(element => element.setAttribute('inert', ''));
+    } else {
+      (this.inertElements || []).forEach(element => element.removeAttribute('inert'));
+      this.inertElements = [];
     }
   }
 
-  showCookieIcon() {
-    if (this.cookieIcon) {
-      this.cookieIcon.style.display = 'flex';
+  /**
+   * Return focus to whatever opened the modal, or to the cookie icon when that's gone (such as
+   * the banner's preferences button)
+   */
+  restoreFocus() {
+    const invoker = this.modalInvoker;
+    this.modalInvoker = null;
+
+    if (invoker?.isConnected && invoker !== document.body && typeof invoker.focus === 'function') {
+      invoker.focus();
+    } else if (this.cookieIcon && this.cookieIcon.style.display !== 'none') {
+      this.cookieIcon.focus();
     }
   }
 
-  hideCookieIcon() {
-    if (this.cookieIcon) {
-      this.cookieIcon.style.display = 'none';
+  /**
+   * Opt-in banners ask for a decision so Escape only dismisses them with config.closeBannerOnEscape,
+   * the notice-only banner and the privacy signal notice outside opt-in jurisdictions just inform
+   */
+  canCloseBannerWithEscape() {
+    return this.config.closeBannerOnEscape ?? this.getJurisdictionMode() !== 'opt-in';
+  }
+
+  // ----------------------------------------------------------------
+  // Announcements
+  // ----------------------------------------------------------------
+  createLiveRegion() {
+    const renderedLiveRegion = this.adoptServerRendered('silktide-live-region');
+    if (renderedLiveRegion) {
+      this.liveRegion = renderedLiveRegion;
+      return;
     }
+
+    this.liveRegion = this.createElement('div', {
+      id: this.getElementId('silktide-live-region'),
+      class: 'silktide-sr-only',
+      role: 'status',
+      'aria-live': 'polite',
+    });
+    this.wrapper.appendChild(this.liveRegion);
   }
 
   /**
-   * This runs if the user closes the modal without making a choice for the first time
-   * We apply the default values and the necessary values as default
+   * Tell screen reader users about something that happened without moving focus
    */
-  handleClosedWithNoChoice() {
-    this.config.cookieTypes.forEach((type) => {
-      let accepted = true;
-      // Set localStorage and run accept/reject callbacks
-      if (type.required == true || type.defaultValue) {
-        localStorage.setItem(
-          `silktideCookieChoice_${type.id}${this.getBannerSuffix()}`,
-          accepted.toString(),
-        );
-      } else {
-        accepted = false;
-        localStorage.setItem(
-          `silktideCookieChoice_${type.id}${this.getBannerSuffix()}`,
-          accepted.toString(),
-        );
-      }
+  announce(message) {
+    if (!this.liveRegion) return;
 
-      if (accepted) {
-        if (typeof type.onAccept === 'function') { type.onAccept(); }
-      } else {
-        if (typeof type.onReject === 'function') { type.onReject(); }
+    // Clearing first makes the same message get announced again
+    this.liveRegion.textContent = '';
+    window.setTimeout(() => {
+      if (this.liveRegion) {
+        this.liveRegion.textContent = message;
       }
-      // set the flag to say that the cookie choice has been made
-      this.setInitialCookieChoiceMade();
-      this.updateCheckboxState();
-    });
+    }, 100);
   }
 
-  // ----------------------------------------------------------------
-  // Focusable Elements
-  // ----------------------------------------------------------------
-  getFocusableElements(element) {
-    return element.querySelectorAll(
-      'button, a[href], input, select, textarea, [tabindex]:not([tabindex="-1"])',
-    );
+  /**
+   * document.activeElement stops at the shadow host, so ask our own root when there is one
+   */
+  getActiveElement() {
+    return (this.shadowRoot || document).activeElement;
   }
 
   // ----------------------------------------------------------------
   // Event Listeners
   // ----------------------------------------------------------------
-  setupEventListeners() {
-    // Check Banner exists before trying to add event listeners
-    if (this.banner) {
-      // Get the buttons
-      const acceptButton = this.banner.querySelector('.accept-all');
-      const rejectButton = this.banner.querySelector('.reject-all');
-      const preferencesButton = this.banner.querySelector('.preferences');
-
-      // Add event listeners to the buttons
-      acceptButton?.addEventListener('click', () => this.handleCookieChoice(true));
-      rejectButton?.addEventListener('click', () => this.handleCookieChoice(false));
-      preferencesButton?.addEventListener('click', () => {
-        this.showBackdrop();
-        this.toggleModal(true);
-      });
+  setupBannerEventListeners(focusBanner = true) {
+    // Get the buttons
+    const acceptButton = this.banner.querySelector('.accept-all');
+    const rejectButton = this.banner.querySelector('.reject-all');
+    const preferencesButton = this.banner.querySelector('.preferences');
+    const privacySignalOkButton = this.banner.querySelector('.privacy-signal-ok');
+    const noticeOkButton = this.banner.querySelector('.notice-ok');
 
-      // Focus Trap
-      const focusableElements = this.getFocusableElements(this.banner);
-      const firstFocusableEl = focusableElements[0];
-      const lastFocusableEl = focusableElements[focusableElements.length - 1];
-
-      // Add keydown event listener to handle tab navigation
-      this.banner.addEventListener('keydown', (e) => {
-        if (e.key === 'Tab') {
-          if (e.shiftKey) {
-            if (document.activeElement === firstFocusableEl) {
-              lastFocusableEl.focus();
-              e.preventDefault();
-            }
-          } else {
-            if (document.activeElement === lastFocusableEl) {
-              firstFocusableEl.focus();
-              e.preventDefault();
-            }
-          }
-        }
-      });
+    // Add event listeners to the buttons
+    acceptButton?.addEventListener('click', () => this.handleCookieChoice(true));
+    rejectButton?.addEventListener('click', () => this.handleCookieChoice(false));
+    preferencesButton?.addEventListener('click', () => this.openPreferences());
+    privacySignalOkButton?.addEventListener('click', () => this.handleNoticeDismissed());
+    noticeOkButton?.addEventListener('click', () => this.handleNoticeDismissed());
+
+    // Focus Trap, and Escape to dismiss where that's allowed
+    this.banner.addEventListener('keydown', (e) => {
+      this.trapFocus(e, this.banner);
 
-      // Set initial focus
-      if (this.config.mode !== 'wizard') {
-        acceptButton?.focus();
+      if (e.key === 'Escape' && this.canCloseBannerWithEscape()) {
+        this.handleNoticeDismissed();
       }
+    });
+
+    // Set initial focus
+    if (focusBanner && this.config.mode !== 'wizard') {
+      (acceptButton || privacySignalOkButton || noticeOkButton)?.focus();
     }
+  }
 
-    // Check Modal exists before trying to add event listeners
-    if (this.modal) {
-      const closeButton = this.modal.querySelector('.modal-close');
-      const acceptAllButton = this.modal.querySelector('.preferences-accept-all');
-      const rejectAllButton = this.modal.querySelector('.preferences-reject-all');
+  setupModalEventListeners() {
+    const closeButton = this.modal.querySelector('.modal-close');
+    const acceptAllButton = this.modal.querySelector('.preferences-accept-all');
+    const rejectAllButton = this.modal.querySelector('.preferences-reject-all');
 
-      closeButton?.addEventListener('click', () => {
-        this.toggleModal(false);
+    closeButton?.addEventListener('click', () => this.closePreferences());
+    acceptAllButton?.addEventListener('click', () => this.handleCookieChoice(true));
+    rejectAllButton?.addEventListener('click', () => this.handleCookieChoice(false));
 
-        const hasMadeFirstChoice = this.hasSetInitialCookieChoices();
+    // Modal Focus Trap
+    this.modal.addEventListener('keydown', (e) => {
+      this.trapFocus(e, this.modal);
 
-        if (hasMadeFirstChoice) {
-          // run through the callbacks based on the current localStorage state
-          this.runStoredCookiePreferenceCallbacks();
-        } else {
-          // handle the case where the user closes without making a choice for the first time
-          this.handleClosedWithNoChoice();
-        }
-      });
-      acceptAllButton?.addEventListener('click', () => this.handleCookieChoice(true));
-      rejectAllButton?.addEventListener('click', () => this.handleCookieChoice(false));
-
-      // Banner Focus Trap
-      const focusableElements = this.getFocusableElements(this.modal);
-      const firstFocusableEl = focusableElements[0];
-      const lastFocusableEl = focusableElements[focusableElements.length - 1];
-
-      this.modal.addEventListener('keydown', (e) => {
-        if (e.key === 'Tab') {
-          if (e.shiftKey) {
-            if (document.activeElement === firstFocusableEl) {
-              lastFocusableEl.focus();
-              e.preventDefault();
-            }
-          } else {
-            if (document.activeElement === lastFocusableEl) {
-              firstFocusableEl.focus();
-              e.preventDefault();
-            }
+      if (e.key === 'Escape') {
+        this.toggleModal(false);
+      }
+    });
+
+    // Update the checkbox event listeners
+    const checkboxes = this.getCategoryCheckboxes();
+    
+    checkboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', (event) => {
+        const cookieId = event.target.getAttribute('data-cookie-type');
+        const isAccepted = event.target.checked;
+        const previousValue = this.storage.getItem(
+          `silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`
+        ) === 'true';
+        
+        // Only proceed if the value has actually changed
+        if (isAccepted !== previousValue) {
+          // Find the corresponding cookie type
+          const cookieType = this.config.cookieTypes.find(type => type.id === cookieId);
+          
+          if (cookieType) {
+            // Update storage, switching all of the type's vendors with it
+            this.storeCookieChoice(cookieType, isAccepted);
+            this.getVendorCheckboxes(cookieType).forEach((vendorCheckbox) => {
+              vendorCheckbox.checked = isAccepted;
+            });
+            this.updateCategorySwitchState(cookieType);
+            this.handleConsentUpdate('custom');
           }
         }
-        if (e.key === 'Escape') {
-          this.toggleModal(false);
-        }
       });
+    });
 
-      closeButton?.focus();
+    // Vendor switches store their own choice and update the cookie type's switch
+    (this.config.cookieTypes || []).forEach((cookieType) => {
+      const vendorCheckboxes = this.getVendorCheckboxes(cookieType);
 
-      // Update the checkbox event listeners
-      const preferencesSection = this.modal.querySelector('#cookie-preferences');
-      const checkboxes = preferencesSection.querySelectorAll('input[type="checkbox"]');
-      
-      checkboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', (event) => {
-          const [, cookieId] = event.target.id.split('cookies-');
-          const isAccepted = event.target.checked;
-          const previousValue = localStorage.getItem(
-            `silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`
-          ) === 'true';
-          
-          // Only proceed if the value has actually changed
-          if (isAccepted !== previousValue) {
-            // Find the corresponding cookie type
-            const cookieType = this.config.cookieTypes.find(type => type.id === cookieId);
-            
-            if (cookieType) {
-              // Update localStorage
-              localStorage.setItem(
-                `silktideCookieChoice_${cookieId}${this.getBannerSuffix()}`,
-                isAccepted.toString()
-              );
-              
-              // Run the appropriate callback only if the value changed
-              if (isAccepted && typeof cookieType.onAccept === 'function') {
-                cookieType.onAccept();
-              } else if (!isAccepted && typeof cookieType.onReject === 'function') {
-                cookieType.onReject();
-              }
-            }
-          }
+      vendorCheckboxes.forEach((vendorCheckbox) => {
+        vendorCheckbox.addEventListener('change', () => {
+          this.storeVendorChoices(
+            cookieType,
+            vendorCheckboxes.reduce((choices, checkbox) => {
+              choices[checkbox.getAttribute('data-vendor')] = checkbox.checked;
+              return choices;
+            }, {}),
+          );
+          this.updateCategorySwitchState(cookieType);
+          this.handleConsentUpdate('custom');
         });
       });
+
+      this.updateCategorySwitchState(cookieType);
+    });
+  }
+
+  setupEventListeners() {
+    // Check Banner exists before trying to add event listeners
+    if (this.banner) {
+      this.setupBannerEventListeners();
+    }
+
+    // Any element with data-silktide-open-preferences opens the modal, e.g. a footer link. Give
+    // the attribute an instance name to open that instance's preferences instead.
+    this.openPreferencesClickHandler = (event) => {
+      const trigger = event.target.closest?.('[data-silktide-open-preferences]');
+      if (!trigger) return;
+
+      const instanceName = trigger.getAttribute('data-silktide-open-preferences');
+      if ((instanceName || SilktideCookieBanner.DEFAULT_INSTANCE) !== this.getInstanceName()) return;
+
+      event.preventDefault();
+      this.openPreferences();
+    };
+    document.addEventListener('click', this.openPreferencesClickHandler);
+
+    // Check Modal exists before trying to add event listeners
+    if (this.modal) {
+      this.setupModalEventListeners();
     }
 
     // Check Cookie Icon exists before trying to add event listeners
@@ -761,12 +4143,18 @@ class SilktideCookieBanner {
         }
       });
     }
+
+    this.optOutLink?.addEventListener('click', () => this.openPreferences());
   }
 
   getBannerSuffix() {
     if (this.config.bannerSuffix) {
       return '_' + this.config.bannerSuffix;
     }
+    // A named instance keeps its choices apart from the site's banner
+    if (!this.isDefaultInstance()) {
+      return '_' + this.getInstanceName();
+    }
     return '';
   }
 
@@ -784,37 +4172,367 @@ class SilktideCookieBanner {
   }
 }
 
-(function () {
-  window.silktideCookieBannerManager = {};
+// The name of the site's banner, which keeps the unscoped ids and storage keys
+SilktideCookieBanner.DEFAULT_INSTANCE = 'default';
+
+// Hosts of common embeds, matched against the hostname and path of an iframe's src
+SilktideCookieBanner.EMBED_PROVIDERS = [
+  { pattern: /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)\//, name: 'YouTube' },
+  { pattern: /(^|\.)google\.[a-z.]+\/maps/, name: 'Google Maps' },
+  { pattern: /(^|\.)vimeo\.com\//, name: 'Vimeo' },
+  { pattern: /(^|\.)spotify\.com\//, name: 'Spotify' },
+  { pattern: /(^|\.)soundcloud\.com\//, name: 'SoundCloud' },
+  { pattern: /(^|\.)(twitter\.com|x\.com)\//, name: 'X' },
+  { pattern: /(^|\.)facebook\.com\//, name: 'Facebook' },
+  { pattern: /(^|\.)instagram\.com\//, name: 'Instagram' },
+  { pattern: /(^|\.)tiktok\.com\//, name: 'TikTok' },
+  { pattern: /(^|\.)linkedin\.com\//, name: 'LinkedIn' },
+  { pattern: /(^|\.)openstreetmap\.org\//, name: 'OpenStreetMap' },
+];
+
+// Well-known trackers, so the audit can say whose an undeclared cookie or storage key probably is
+SilktideCookieBanner.KNOWN_TRACKERS = [
+  { pattern: /^_ga(_.+)?$/, provider: 'Google Analytics', category: 'analytics' },
+  { pattern: /^_gid$/, provider: 'Google Analytics', category: 'analytics' },
+  { pattern: /^_gat/, provider: 'Google Analytics', category: 'analytics' },
+  { pattern: /^_gcl_/, provider: 'Google Ads', category: 'marketing' },
+  { pattern: /^(_fbp|_fbc)$/, provider: 'Meta', category: 'marketing' },
+  { pattern: /^_hj/, provider: 'Hotjar', category: 'analytics' },
+  { pattern: /^(_clck|_clsk)$/, provider: 'Microsoft Clarity', category: 'analytics' },
+  { pattern: /^_uet/, provider: 'Microsoft Advertising', category: 'marketing' },
+  { pattern: /^(li_fat_id|_li_ss|li_sugr)$/, provider: 'LinkedIn', category: 'marketing' },
+  { pattern: /^_ttp$/, provider: 'TikTok', category: 'marketing' },
+  { pattern: /^_pin_unauth$/, provider: 'Pinterest', category: 'marketing' },
+  { pattern: /^_scid/, provider: 'Snap', category: 'marketing' },
+  { pattern: /^(__hstc|__hssc|__hssrc|hubspotutk)$/, provider: 'HubSpot', category: 'marketing' },
+  { pattern: /^(ajs_anonymous_id|ajs_user_id)$/, provider: 'Segment', category: 'analytics' },
+  { pattern: /^mp_.+_mixpanel$/, provider: 'Mixpanel', category: 'analytics' },
+  { pattern: /^(AMP_|amplitude_id)/, provider: 'Amplitude', category: 'analytics' },
+  { pattern: /^intercom-/, provider: 'Intercom', category: 'functional' },
+  { pattern: /^_pk_(id|ses)/, provider: 'Matomo', category: 'analytics' },
+  { pattern: /^_vwo/, provider: 'VWO', category: 'analytics' },
+  { pattern: /^optimizely/, provider: 'Optimizely', category: 'analytics' },
+];
+
+// EU member states plus Iceland, Liechtenstein and Norway, which make up the European Economic Area
+SilktideCookieBanner.EEA_COUNTRIES = [
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+  'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'IS', 'LI', 'NO',
+];
+
+// The CSS variables config.theme can set
+SilktideCookieBanner.THEME_VARIABLES = [
+  'primaryColor',
+  'backgroundColor',
+  'textColor',
+  'backdropBackgroundColor',
+  'backdropBackgroundBlur',
+  'cookieIconColor',
+  'cookieIconBackgroundColor',
+  'fontFamily',
+  'borderRadius',
+  'boxShadow',
+  'focus',
+];
+
+// The built-in dark scheme, used when config.theme.colorScheme is 'dark' or 'auto'
+SilktideCookieBanner.DARK_THEME = {
+  primaryColor: '#d2b4da',
+  backgroundColor: '#241f26',
+  textColor: '#ece6ee',
+  backdropBackgroundColor: '#00000080',
+  cookieIconColor: '#d2b4da',
+  cookieIconBackgroundColor: '#241f26',
+  boxShadow: '-5px 5px 10px 0px #00000040, 0px 0px 50px 0px #00000066',
+};
+
+// Markup for the icons, built with createIcon
+SilktideCookieBanner.ICONS = {
+  logo: {
+    width: 24,
+    height: 25,
+    viewBox: '0 0 24 25',
+    fill: 'inherit',
+    paths: [
+      {
+        'fill-rule': 'evenodd',
+        'clip-rule': 'evenodd',
+        d: 'M14.1096 16.7745C13.8895 17.2055 13.3537 17.3805 12.9129 17.1653L8.28443 14.9055L2.73192 17.7651L11.1025 21.9814C11.909 22.3876 12.8725 22.3591 13.6524 21.9058L20.4345 17.9645C21.2845 17.4704 21.7797 16.5522 21.7164 15.5872L21.7088 15.4704C21.6487 14.5561 21.0962 13.7419 20.2579 13.3326L15.6793 11.0972L10.2283 13.9045L13.71 15.6043C14.1507 15.8195 14.3297 16.3434 14.1096 16.7745ZM8.2627 12.9448L13.7136 10.1375L10.2889 8.46543C9.84803 8.25021 9.66911 7.72629 9.88916 7.29524C10.1093 6.86417 10.6451 6.68921 11.0859 6.90442L15.6575 9.13647L21.2171 6.27325L12.8808 2.03496C12.0675 1.62147 11.0928 1.65154 10.3078 2.11432L3.54908 6.09869C2.70732 6.59492 2.21846 7.50845 2.28139 8.46761L2.29003 8.59923C2.35002 9.51362 2.9026 10.3278 3.7409 10.7371L8.2627 12.9448ZM6.31884 13.9458L2.94386 12.2981C1.53727 11.6113 0.610092 10.2451 0.509431 8.71094L0.500795 8.57933C0.3952 6.96993 1.21547 5.4371 2.62787 4.60447L9.38662 0.620092C10.7038 -0.156419 12.3392 -0.206861 13.7039 0.486938L23.3799 5.40639C23.4551 5.44459 23.5224 5.4918 23.5811 5.54596C23.7105 5.62499 23.8209 5.73754 23.897 5.87906C24.1266 6.30534 23.9594 6.83293 23.5234 7.05744L17.6231 10.0961L21.0549 11.7716C22.4615 12.4583 23.3887 13.8245 23.4893 15.3587L23.497 15.4755C23.6033 17.0947 22.7724 18.6354 21.346 19.4644L14.5639 23.4057C13.2554 24.1661 11.6386 24.214 10.2854 23.5324L0.621855 18.6649C0.477299 18.592 0.361696 18.4859 0.279794 18.361C0.210188 18.2968 0.150054 18.2204 0.10296 18.133C-0.126635 17.7067 0.0406445 17.1792 0.47659 16.9546L6.31884 13.9458Z',
+        fill: 'inherit',
+      },
+    ],
+  },
+  close: {
+    width: 20,
+    height: 20,
+    viewBox: '0 0 20 20',
+    fill: 'none',
+    paths: [
+      {
+        d: 'M19.4081 3.41559C20.189 2.6347 20.189 1.36655 19.4081 0.585663C18.6272 -0.195221 17.3591 -0.195221 16.5782 0.585663L10 7.17008L3.41559 0.59191C2.6347 -0.188974 1.36655 -0.188974 0.585663 0.59191C-0.195221 1.37279 -0.195221 2.64095 0.585663 3.42183L7.17008 10L0.59191 16.5844C-0.188974 17.3653 -0.188974 18.6335 0.59191 19.4143C1.37279 20.1952 2.64095 20.1952 3.42183 19.4143L10 12.8299L16.5844 19.4081C17.3653 20.189 18.6335 20.189 19.4143 19.4081C20.1952 18.6272 20.1952 17.3591 19.4143 16.5782L12.8299 10L19.4081 3.41559Z',
+      },
+    ],
+  },
+  cookie: {
+    width: 38,
+    height: 38,
+    viewBox: '0 0 38 38',
+    fill: 'none',
+    paths: [
+      {
+        d: 'M19.1172 1.15625C19.0547 0.734374 18.7344 0.390624 18.3125 0.328124C16.5859 0.0859365 14.8281 0.398437 13.2813 1.21875L7.5 4.30469C5.96094 5.125 4.71875 6.41406 3.95313 7.98437L1.08594 13.8906C0.320314 15.4609 0.0703136 17.2422 0.375001 18.9609L1.50781 25.4297C1.8125 27.1562 2.64844 28.7344 3.90625 29.9531L8.61719 34.5156C9.875 35.7344 11.4766 36.5156 13.2031 36.7578L19.6875 37.6719C21.4141 37.9141 23.1719 37.6016 24.7188 36.7812L30.5 33.6953C32.0391 32.875 33.2813 31.5859 34.0469 30.0078L36.9141 24.1094C37.6797 22.5391 37.9297 20.7578 37.625 19.0391C37.5547 18.625 37.2109 18.3125 36.7969 18.25C32.7734 17.6094 29.5469 14.5703 28.6328 10.6406C28.4922 10.0469 28.0078 9.59375 27.4063 9.5C23.1406 8.82031 19.7734 5.4375 19.1094 1.15625H19.1172ZM15.25 10.25C15.913 10.25 16.5489 10.5134 17.0178 10.9822C17.4866 11.4511 17.75 12.087 17.75 12.75C17.75 13.413 17.4866 14.0489 17.0178 14.5178C16.5489 14.9866 15.913 15.25 15.25 15.25C14.587 15.25 13.9511 14.9866 13.4822 14.5178C13.0134 14.0489 12.75 13.413 12.75 12.75C12.75 12.087 13.0134 11.4511 13.4822 10.9822C13.9511 10.5134 14.587 10.25 15.25 10.25ZM10.25 25.25C10.25 24.587 10.5134 23.9511 10.9822 23.4822C11.4511 23.0134 12.087 22.75 12.75 22.75C13.413 22.75 14.0489 23.0134 14.5178 23.4822C14.9866 23.9511 15.25 24.587 15.25 25.25C15.25 25.913 14.9866 26.5489 14.5178 27.0178C14.0489 27.4866 13.413 27.75 12.75 27.75C12.087 27.75 11.4511 27.4866 10.9822 27.0178C10.5134 26.5489 10.25 25.913 10.25 25.25ZM27.75 20.25C28.413 20.25 29.0489 20.5134 29.5178 20.9822C29.9866 21.4511 30.25 22.087 30.25 22.75C30.25 23.413 29.9866 24.0489 29.5178 24.5178C29.0489 24.9866 28.413 25.25 27.75 25.25C27.087 25.25 26.4511 24.9866 25.9822 24.5178C25.5134 24.0489 25.25 23.413 25.25 22.75C25.25 22.087 25.5134 21.4511 25.9822 20.9822C26.4511 20.5134 27.087 20.25 27.75 20.25Z',
+      },
+    ],
+  },
+};
+
+// The markup description fields may contain
+SilktideCookieBanner.ALLOWED_HTML = {
+  tags: ['p', 'br', 'a', 'strong', 'b', 'em', 'i', 'u', 'span', 'small', 'ul', 'ol', 'li'],
+  attributes: {
+    '*': ['class', 'title', 'lang', 'dir'],
+    a: ['href', 'target', 'rel', 'aria-label'],
+  },
+  // Dropped along with their content rather than unwrapped
+  removeWithContent: [
+    'script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'textarea', 'title',
+    'svg', 'math',
+  ],
+};
+
+/**
+ * Create a consent manager without touching the page: nothing renders until initCookieBanner() or
+ * updateCookieBannerConfig() is called. The drop-in script below keeps one on
+ * window.silktideCookieBannerManager, bundles get this factory from the ES module build.
+ */
+function createConsentManager(config = {}) {
+  const DEFAULT_INSTANCE = SilktideCookieBanner.DEFAULT_INSTANCE;
+
+  // Each named banner keeps its own config, so it can be recreated without touching the others
+  const instances = new Map();
+
+  function getInstanceState(name = DEFAULT_INSTANCE) {
+    if (!instances.has(name)) {
+      instances.set(name, { config: {}, cookieBanner: null });
+    }
+    return instances.get(name);
+  }
 
-  let config = {};
-  let cookieBanner;
+  function getCookieBanner(name = DEFAULT_INSTANCE) {
+    return instances.get(name)?.cookieBanner || null;
+  }
 
-  function updateCookieBannerConfig(userConfig = {}) {
-    config = {...config, ...userConfig};
+  function updateCookieBannerConfig(userConfig = {}, name = DEFAULT_INSTANCE) {
+    const instance = getInstanceState(name);
+    instance.config = {...instance.config, ...userConfig};
 
     // If cookie banner exists, destroy and recreate it with new config
-    if (cookieBanner) {
-      cookieBanner.destroyCookieBanner(); // We'll need to add this method
-      cookieBanner = null;
+    if (instance.cookieBanner) {
+      instance.cookieBanner.destroyCookieBanner();
+      instance.cookieBanner = null;
     }
 
+    // Nothing renders on the server, the config is kept for getServerState()
+    if (!SilktideCookieBanner.isBrowser()) return;
+
     // Only initialize if document.body exists
     if (document.body) {
-      initCookieBanner();
+      initCookieBanner(name);
     } else {
       // Wait for DOM to be ready
-      document.addEventListener('DOMContentLoaded', initCookieBanner, {once: true});
+      document.addEventListener('DOMContentLoaded', () => initCookieBanner(name), {once: true});
+    }
+  }
+
+  function initCookieBanner(name = DEFAULT_INSTANCE) {
+    if (!SilktideCookieBanner.isBrowser()) return;
+
+    const instance = getInstanceState(name);
+    if (!instance.cookieBanner) {
+      // Pass config to the CookieBanner instance
+      instance.cookieBanner = new SilktideCookieBanner({ ...instance.config, name });
     }
   }
 
-  function initCookieBanner() {
-    if (!cookieBanner) {
-      cookieBanner = new SilktideCookieBanner(config); // Pass config to the CookieBanner instance
+  /**
+   * Start another banner alongside the site's one, e.g. for an embedded widget with its own consent
+   * scope. Returns the same API as the manager, bound to that instance.
+   */
+  function createInstance(name, userConfig = {}) {
+    if (!name || name === DEFAULT_INSTANCE) {
+      throw new Error('Silktide Consent Manager: an instance needs a name other than "default"');
+    }
+    updateCookieBannerConfig(userConfig, name);
+    return getInstance(name);
+  }
+
+  function getInstance(name = DEFAULT_INSTANCE) {
+    const instance = getInstanceState(name);
+    if (!instance.api) {
+      instance.api = createInstanceApi(name);
     }
+    return instance.api;
+  }
+
+  function destroyInstance(name) {
+    const instance = instances.get(name);
+    if (!instance) return;
+
+    instance.cookieBanner?.destroyCookieBanner();
+    instances.delete(name);
+  }
+
+  function getInstanceNames() {
+    return Array.from(instances.keys()).filter(name => getCookieBanner(name));
+  }
+
+  /**
+   * For server rendering: the banner state for a request's Cookie header, and the markup for the
+   * page to include so the banner doesn't flash in once the script has loaded
+   */
+  function getServerState(cookieHeader = '', name = DEFAULT_INSTANCE) {
+    return SilktideCookieBanner.getServerState(
+      { ...getInstanceState(name).config, name },
+      cookieHeader,
+    );
+  }
+
+  function renderServerMarkup(cookieHeader = '', serverDocument, name = DEFAULT_INSTANCE) {
+    return SilktideCookieBanner.renderServerMarkup(
+      { ...getInstanceState(name).config, name },
+      cookieHeader,
+      serverDocument,
+    );
+  }
+
+  function getConsent(name = DEFAULT_INSTANCE) {
+    const cookieBanner = getCookieBanner(name);
+    return cookieBanner ? cookieBanner.getConsent() : {};
+  }
+
+  function hasConsent(cookieId, name = DEFAULT_INSTANCE) {
+    const cookieBanner = getCookieBanner(name);
+    return cookieBanner ? cookieBanner.hasConsent(cookieId) : false;
+  }
+
+  function getVendorConsent(name = DEFAULT_INSTANCE) {
+    const cookieBanner = getCookieBanner(name);
+    return cookieBanner ? cookieBanner.getVendorConsent() : {};
+  }
+
+  /**
+   * Scan the page's cookies and storage against the config now, whether or not config.audit runs
+   * the scan on a timer
+   */
+  function getAuditReport(name = DEFAULT_INSTANCE) {
+    const cookieBanner = getCookieBanner(name);
+    return cookieBanner ? cookieBanner.runAudit() : null;
+  }
+
+  /**
+   * Render the preferences switches with a Save button inside container, e.g. on the privacy
+   * policy page. Elements with data-silktide-preferences get one automatically.
+   */
+  function mountPreferences(container, name = DEFAULT_INSTANCE) {
+    const cookieBanner = getCookieBanner(name);
+    return cookieBanner ? cookieBanner.mountPreferences(container) : null;
+  }
+
+  // Listeners live on window so they survive the banner being recreated by updateCookieBannerConfig
+  const eventListeners = [];
+
+  // Without an instance name the callback hears the events of every instance
+  function on(eventName, callback, name) {
+    if (typeof window === 'undefined') return () => {};
+
+    const listener = (event) => {
+      if (name && event.detail?.instance !== name) return;
+      callback(event.detail);
+    };
+    eventListeners.push({ eventName, callback, name, listener });
+    window.addEventListener(`silktide:${eventName}`, listener);
+
+    return () => off(eventName, callback, name);
+  }
+
+  function off(eventName, callback, name) {
+    if (typeof window === 'undefined') return;
+
+    const index = eventListeners.findIndex(
+      entry => entry.eventName === eventName && entry.callback === callback && entry.name === name,
+    );
+    if (index === -1) return;
+
+    window.removeEventListener(`silktide:${eventName}`, eventListeners[index].listener);
+    eventListeners.splice(index, 1);
+  }
+
+  function openPreferences(name = DEFAULT_INSTANCE) {
+    getCookieBanner(name)?.openPreferences();
+  }
+
+  function closePreferences(name = DEFAULT_INSTANCE) {
+    getCookieBanner(name)?.closePreferences();
+  }
+
+  function acceptAll(name = DEFAULT_INSTANCE) {
+    getCookieBanner(name)?.acceptAll();
+  }
+
+  function rejectAll(name = DEFAULT_INSTANCE) {
+    getCookieBanner(name)?.rejectAll();
+  }
+
+  function setConsent(choices, name = DEFAULT_INSTANCE) {
+    getCookieBanner(name)?.setConsent(choices);
+  }
+
+  function resetConsent(name = DEFAULT_INSTANCE) {
+    getCookieBanner(name)?.resetConsent();
+  }
+
+  function setLanguage(language, name = DEFAULT_INSTANCE) {
+    // Keep the language when the banner is recreated with a new config
+    const instance = getInstanceState(name);
+    instance.config = {...instance.config, language};
+    instance.cookieBanner?.setLanguage(language);
+  }
+
+  function setTheme(theme, name = DEFAULT_INSTANCE) {
+    const instance = getInstanceState(name);
+    instance.config = {...instance.config, theme};
+    instance.cookieBanner?.setTheme(theme);
+  }
+
+  function createInstanceApi(name) {
+    return {
+      name,
+      updateConfig: userConfig => updateCookieBannerConfig(userConfig, name),
+      destroy: () => destroyInstance(name),
+      getConsent: () => getConsent(name),
+      hasConsent: cookieId => hasConsent(cookieId, name),
+      getVendorConsent: () => getVendorConsent(name),
+      getAuditReport: () => getAuditReport(name),
+      mountPreferences: container => mountPreferences(container, name),
+      getServerState: cookieHeader => getServerState(cookieHeader, name),
+      renderServerMarkup: (cookieHeader, serverDocument) =>
+        renderServerMarkup(cookieHeader, serverDocument, name),
+      on: (eventName, callback) => on(eventName, callback, name),
+      off: (eventName, callback) => off(eventName, callback, name),
+      openPreferences: () => openPreferences(name),
+      closePreferences: () => closePreferences(name),
+      acceptAll: () => acceptAll(name),
+      rejectAll: () => rejectAll(name),
+      setConsent: choices => setConsent(choices, name),
+      resetConsent: () => resetConsent(name),
+      setLanguage: language => setLanguage(language, name),
+      setTheme: theme => setTheme(theme, name),
+    };
   }
 
   function injectScript(url, loadOption) {
+    if (!SilktideCookieBanner.isBrowser()) return;
+
     // Check if script with this URL already exists
     const existingScript = document.querySelector(`script[src="${url}"]`);
     if (existingScript) {
@@ -822,7 +4540,7 @@ class SilktideCookieBanner {
     }
 
     const script = document.createElement('script');
-    script.src = url;
+    script.src = SilktideCookieBanner.createTrustedScriptURL(url);
 
     // Apply the async or defer attribute based on the loadOption parameter
     if (loadOption === 'async') {
@@ -834,9 +4552,65 @@ class SilktideCookieBanner {
     document.head.appendChild(script);
   }
 
-  window.silktideCookieBannerManager.initCookieBanner = initCookieBanner;
-  window.silktideCookieBannerManager.updateCookieBannerConfig = updateCookieBannerConfig;
-  window.silktideCookieBannerManager.injectScript = injectScript;
+  /**
+   * A consent logger for local testing: keeps every payload in memory and prints it to the
+   * console. Pass { fail: true } to exercise the retry queue.
+   */
+  function createConsentLoggerStub(options = {}) {
+    const stub = (payload) => {
+      if (stub.fail) {
+        return Promise.reject(new Error('Consent logger stub set to fail'));
+      }
+      stub.entries.push(payload);
+      console.info('Silktide consent log', payload);
+    };
+    stub.entries = [];
+    stub.fail = !!options.fail;
+    return stub;
+  }
+
+  getInstanceState().config = { ...config };
+
+  return {
+    initCookieBanner,
+    updateCookieBannerConfig,
+    createInstance,
+    getInstance,
+    destroyInstance,
+    getInstanceNames,
+    getServerState,
+    renderServerMarkup,
+    injectScript,
+    createConsentLoggerStub,
+    getConsent,
+    hasConsent,
+    getVendorConsent,
+    getAuditReport,
+    mountPreferences,
+    on,
+    off,
+    openPreferences,
+    closePreferences,
+    acceptAll,
+    rejectAll,
+    setConsent,
+    resetConsent,
+    setLanguage,
+    setTheme,
+  };
+}
+
+// Drop-in script: the manager lives on window and the banner shows once the page has loaded
+(function () {
+  const manager = createConsentManager();
+  window.silktideCookieBannerManager = manager;
+
+  // Server-rendered markup waits for the site's config, it's hydrated by updateCookieBannerConfig()
+  const initCookieBanner = () => {
+    if (!document.querySelector('[data-silktide-ssr]')) {
+      manager.initCookieBanner();
+    }
+  };
 
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initCookieBanner, {once: true});